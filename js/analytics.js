@@ -0,0 +1,175 @@
+/**
+ * analytics.js
+ * Usage events for the shopping funnel: what is browsed, filtered, added and bought.
+ *
+ * - track(type, props) checks the event against EVENTS (known type, required
+ *   props of the right type). A bad event is reported and dropped, so a typo
+ *   in a handler never reaches a report.
+ * - Events go to sinks: plain objects { send(event), flush?(), clear?() }.
+ *   consoleSink, bufferSink (last N events in localStorage) and beaconSink
+ *   (batches sent with navigator.sendBeacon) are built in; addSink() adds more.
+ * - Nothing is collected while consent is off; switching it off also clears
+ *   whatever was buffered.
+ * - Amounts are in the base currency, like everything stored (see pricing.js).
+ */
+
+import { config } from "./config.js";
+import { createStore, readRaw, writeRaw } from "./storage.js";
+
+const CONSENT_KEY = "rainydays_analytics_consent";
+
+// Event type → props; "?" marks an optional prop
+export const EVENTS = {
+  product_list_viewed: { count: "number", total: "number", filters: "object" },
+  filter_applied: { count: "number", filters: "object" },
+  product_viewed: { id: "string", title: "string", price: "number" },
+  add_to_cart: { id: "string", size: "string", qty: "number", price: "number" },
+  remove_from_cart: { id: "string", size: "string", qty: "number" },
+  checkout_started: { items: "number", total: "number" },
+  checkout_error: { reason: "string", fields: "object?", message: "string?" },
+  order_placed: { id: "string", items: "number", total: "number", status: "string" },
+};
+
+const sinks = [];
+
+/** Reason the event does not match EVENTS, or null */
+function checkEvent(type, props) {
+  const schema = EVENTS[type];
+  if (!schema) return `Unknown event "${type}"`;
+  for (const [name, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith("?");
+    const want = spec.replace("?", "");
+    const value = props[name];
+    if (value === undefined && optional) continue;
+    if (value === null || typeof value !== want || (want === "number" && !Number.isFinite(value))) {
+      return `"${name}" should be a ${want}`;
+    }
+  }
+  const extra = Object.keys(props).find((name) => !(name in schema));
+  return extra ? `Unexpected prop "${extra}"` : null;
+}
+
+/** Has the shopper allowed collection? Their choice wins over config.analytics.consent */
+export function hasConsent() {
+  const saved = readRaw(CONSENT_KEY);
+  return saved === null ? config.analytics.consent : saved === "true";
+}
+
+/** Turn collection on or off; off also drops anything not yet sent */
+export function setConsent(on) {
+  writeRaw(CONSENT_KEY, String(Boolean(on)));
+  if (!on) for (const sink of sinks) sink.clear?.();
+}
+
+/** Plug in a sink; returns a function that unplugs it */
+export function addSink(sink) {
+  sinks.push(sink);
+  return () => {
+    const i = sinks.indexOf(sink);
+    if (i >= 0) sinks.splice(i, 1);
+  };
+}
+
+/** Record one event (a no-op without consent) */
+export function track(type, props = {}) {
+  if (!hasConsent()) return;
+  const problem = checkEvent(type, props);
+  if (problem) {
+    console.warn(`Analytics: dropped ${type}: ${problem}`, props);
+    return;
+  }
+  const event = {
+    type,
+    props,
+    at: new Date().toISOString(),
+    page: typeof location === "undefined" ? "" : location.pathname,
+  };
+  for (const sink of sinks) {
+    try {
+      sink.send(event);
+    } catch (err) {
+      console.warn("Analytics: sink failed", err);
+    }
+  }
+}
+
+/** Hand buffered batches over now (the page is going away) */
+export function flushAnalytics() {
+  for (const sink of sinks) sink.flush?.();
+}
+
+/** Every event on the console, for development */
+export function consoleSink() {
+  return {
+    send(event) {
+      console.info(`[analytics] ${event.type}`, event.props);
+    },
+  };
+}
+
+/** The last `limit` events in localStorage, for debugging or a later upload */
+export function bufferSink({ key = "rainydays_analytics", limit = 200 } = {}) {
+  const store = createStore({
+    key,
+    version: 1,
+    validate: (event) => (event && EVENTS[event.type] ? null : "Unknown event"),
+  });
+  return {
+    send(event) {
+      store.save([...store.load().items, event].slice(-limit));
+    },
+    clear() {
+      store.save([]);
+    },
+    events: () => store.load().items,
+  };
+}
+
+/**
+ * Batches POSTed as { events: [...] } to `endpoint`: when `batchSize` events
+ * are waiting, after `interval` ms, or on flush(). sendBeacon survives the
+ * page unloading; fetch with keepalive is the fallback.
+ */
+export function beaconSink({ endpoint, batchSize = 10, interval = 10000 }) {
+  let batch = [];
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!batch.length) return;
+    const body = JSON.stringify({ events: batch });
+    batch = [];
+    const queued = navigator.sendBeacon?.(endpoint, new Blob([body], { type: "application/json" }));
+    if (queued) return;
+    fetch(endpoint, { method: "POST", headers: { "Content-Type": "application/json" }, body, keepalive: true })
+      .catch((err) => console.warn("Analytics: batch not sent", err));
+  }
+
+  return {
+    send(event) {
+      batch.push(event);
+      if (batch.length >= batchSize) flush();
+      else timer ??= setTimeout(flush, interval);
+    },
+    flush,
+    clear() {
+      clearTimeout(timer);
+      timer = null;
+      batch = [];
+    },
+  };
+}
+
+/** Plug in the sinks config.analytics asks for and send batches when the page is hidden */
+export function startAnalytics() {
+  const { console: log, buffer, endpoint, batchSize, flushInterval } = config.analytics;
+  if (log) addSink(consoleSink());
+  if (buffer) addSink(bufferSink({ limit: buffer }));
+  if (endpoint) addSink(beaconSink({ endpoint, batchSize, interval: flushInterval }));
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flushAnalytics();
+  });
+  window.addEventListener("pagehide", flushAnalytics);
+}
@@ -1,42 +1,196 @@
-const KEY = "rainydays_cart_v1";
-//read cart array from storage
+import { createStore, readRaw, writeRaw } from "./storage.js";
+import { reconcileCart } from "./reconcile.js";
+import { clampQty } from "./limits.js";
+import { emit } from "./events.js";
+
+const PREFS_KEY = "rainydays_cart_prefs";
+const HISTORY_LIMIT = 10;
+const CHANGES_KEY = "rainydays_cart_changes";
+
+let lastDropped = [];
+//undoable commands run on this page, oldest first: [{ type, title, before, after }]
+const history = [];
+
+//schema v1: [{ id, qty }]  (rainydays_cart_v1)
+//schema v2: [{ id, size, qty }]
+//schema v3: [{ id, size, qty, price, title }]  price/title as seen when added (price null = unknown)
+const store = createStore({
+  key: "rainydays_cart",
+  version: 3,
+  legacy: { rainydays_cart_v2: 2, rainydays_cart_v1: 1 },
+  migrations: {
+    1: (items) => items.map(i => ({ ...i, size: "" })),
+    2: (items) => items.map(i => ({ ...i, price: null, title: "" })),
+  },
+  validate: validateLine,
+  onDrop(dropped) {
+    lastDropped = dropped;
+    console.warn("Cart: dropped invalid lines", dropped);
+    emit("cart:repaired", { dropped });
+  },
+});
+
+//return a reason string for a bad line, null when it is fine
+function validateLine(line) {
+  if (!line || typeof line !== "object") return "Line is not an object";
+  if (typeof line.id !== "string" || !line.id) return "Missing product id";
+  if (typeof line.size !== "string") return "Size must be a string";
+  if (!Number.isInteger(line.qty) || line.qty < 1) return `Invalid quantity: ${line.qty}`;
+  if (line.price !== null && !(typeof line.price === "number" && line.price >= 0)) return `Invalid price: ${line.price}`;
+  if (typeof line.title !== "string") return "Title must be a string";
+  return null;
+}
+
+//one cart line per (product id, size) pair
+export function lineKey(productId, size = "") {
+  return `${productId}::${String(size || "").toUpperCase()}`;
+}
+
+//read cart array from storage (migrated + validated)
 export function getCart() {
-  try {return JSON.parse(localStorage.getItem(KEY)) ||[]; }
-  catch { return []; }
+  return store.load().items;
+}
+//lines thrown away on the last load that found problems
+export function getCartIssues() {
+  return lastDropped;
 }
 //save the cart back to storage
 export function saveCart(items) {
-  localStorage.setItem(KEY, JSON.stringify(items));
-  window.dispatchEvent(new CustomEvent("cart:updated", {detail: {items} }));
+  store.save(items);
+  emit("cart:updated", { items });
 }
-//add a product or bump its quantity
-export function addToCart(productId, qty = 1) {
+//units on every line except `skip`: { sameProduct, inOrder } for clampQty
+function otherUnits(items, productId, skip) {
+  let sameProduct = 0;
+  let inOrder = 0;
+  for (const i of items) {
+    if (i === skip) continue;
+    inOrder += i.qty;
+    if (i.id === productId) sameProduct += i.qty;
+  }
+  return { sameProduct, inOrder };
+}
+
+//add a product (in a given size) or bump its quantity
+//details: { price, title } as shown to the shopper, so later changes can be reported,
+//and limit: lineLimit(product, size) from limits.js (config defaults when left out)
+//returns { qty, added, reason, max }: reason is null or why fewer than asked were added, max that cap
+export function addToCart(productId, qty = 1, size = "", details = {}) {
   const items = getCart();
-  const found = items.find(i => i.id === productId);
-  if (found) found.qty += qty;
-  else items.push({ id: productId, qty });
+  const key = lineKey(productId, size);
+  const found = items.find(i => lineKey(i.id, i.size) === key);
+  const price = typeof details.price === "number" ? details.price : null;
+  const current = found ? found.qty : 0;
+  const capped = clampQty(current + qty, { limit: details.limit, ...otherUnits(items, productId, found) });
+  const added = Math.max(0, capped.qty - current);
+  if (!added) return { qty: current, added: 0, reason: capped.reason, max: capped.max };
+  if (found) {
+    found.qty += added;
+    if (price !== null) found.price = price;
+  }
+  else items.push({ id: productId, size: String(size || "").toUpperCase(), qty: added, price, title: details.title || "" });
   saveCart(items);
+  return { qty: current + added, added, reason: capped.reason, max: capped.max };
 }
 //return the quantity across all lines
 export function getCartCount() {
   return getCart().reduce((sum, i) => sum + i.qty, 0);
 }
 
-export function removeFromCart(productId) {
-  const next = getCart().filter(i => i.id !== productId);
-  saveCart(next); //must dispatch "cart:updated" inside saveCart
+//run a change as an undoable command: apply(items) returns the new lines
+//type: "remove" | "clear"; title names the removed line, if any
+function runCommand(type, title, apply) {
+  const before = getCart();
+  const after = apply(before.map(i => ({ ...i })));
+  history.push({ type, title, before, after });
+  if (history.length > HISTORY_LIMIT) history.shift();
+  saveCart(after); //must dispatch "cart:updated" inside saveCart
+}
 
+//key comes from lineKey(id, size)
+export function removeFromCart(key) {
+  const line = getCart().find(i => lineKey(i.id, i.size) === key);
+  runCommand("remove", line?.title || "", items => items.filter(i => lineKey(i.id, i.size) !== key));
 }
 
-export function setCartQty(productId, qty) {
-  const q = Math.max(1, Number(qty) || 1);
+//set a line's quantity (at least 1), capped like addToCart
+//returns { qty, reason, max } with the quantity actually saved, or null for an unknown key
+export function setCartQty(key, qty, limit) {
+  const q = Math.max(1, Math.floor(Number(qty)) || 1);
   const items = getCart();
-  const row = items.find(i => i.id === productId);
-  if (row) { row.qty = q;
-  saveCart(items); //must dispatch "cart:updated" inside saveCart
-}
+  const row = items.find(i => lineKey(i.id, i.size) === key);
+  if (!row) return null;
+  const capped = clampQty(q, { limit, ...otherUnits(items, row.id, row) });
+  if (capped.qty >= 1 && capped.qty !== row.qty) {
+    row.qty = capped.qty;
+    saveCart(items); //must dispatch "cart:updated" inside saveCart
+  }
+  return { qty: row.qty, reason: capped.reason, max: capped.max };
 }
 
 export function clearCart() {
-  saveCart([]); //must dispatch "cart:updated" inside saveCart
+  runCommand("clear", "", () => []);
+}
+
+//{ type, title } of the command undoCart() would revert, or null
+export function getUndoCommand() {
+  const last = history.at(-1);
+  return last ? { type: last.type, title: last.title } : null;
+}
+
+//put back the exact lines from before the last command; returns { type, title } or null.
+//if the cart changed some other way since (quantity edit, another tab) the history
+//no longer matches and is dropped rather than overwriting those changes
+export function undoCart() {
+  const last = history.pop();
+  if (!last) return null;
+  if (JSON.stringify(getCart()) !== JSON.stringify(last.after)) {
+    history.length = 0;
+    return null;
+  }
+  saveCart(last.before);
+  return { type: last.type, title: last.title };
+}
+
+//changes found by reconcileWithCatalog that the shopper has not acknowledged yet
+export function getCartChanges() {
+  try { return JSON.parse(readRaw(CHANGES_KEY)) || []; }
+  catch { return []; }
+}
+
+export function acknowledgeCartChanges() {
+  writeRaw(CHANGES_KEY, "[]");
+  emit("cart:changes", { changes: [] });
 }
+
+//check saved lines against the catalog: drop removed products / sizes, adopt new prices.
+//new findings are added to the pending report, which is returned
+export function reconcileWithCatalog(byId) {
+  const current = getCart();
+  const { items, changes } = reconcileCart(current, byId);
+  //also store quietly filled-in prices/titles (lines migrated from older schemas)
+  if (JSON.stringify(items) !== JSON.stringify(current)) saveCart(items);
+  if (!changes.length) return getCartChanges();
+  const pending = [...getCartChanges(), ...changes];
+  writeRaw(CHANGES_KEY, JSON.stringify(pending));
+  emit("cart:changes", { changes: pending });
+  return pending;
+}
+
+//shipping region + promo code chosen on cart.html, reused by checkout
+export function getCartPrefs() {
+  try { return { region: "", promoCode: "", ...JSON.parse(readRaw(PREFS_KEY)) }; }
+  catch { return { region: "", promoCode: "" }; }
+}
+
+export function saveCartPrefs(prefs) {
+  const next = { ...getCartPrefs(), ...prefs };
+  writeRaw(PREFS_KEY, JSON.stringify(next));
+  emit("cart:prefs", next);
+  return next;
+}
+
+//changes made in another tab arrive as "storage" events; re-broadcast them locally
+store.watch((items) => {
+  emit("cart:updated", { items, external: true });
+});
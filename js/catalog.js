@@ -0,0 +1,167 @@
+/**
+ * catalog.js
+ * Shared product catalog: fetch, normalize and cache.
+ *
+ * - Normalized products are cached in storage with a timestamp.
+ * - Fresh cache (younger than CATALOG_TTL_MS) is served without a request.
+ * - Expired cache is served immediately and refreshed in the background
+ *   (stale-while-revalidate); listeners get the new list via onRefresh
+ *   and the "catalog:updated" event.
+ * - If the network is down, whatever is cached is still returned, marked stale.
+ * - With nothing cached, the list page pages through the source instead
+ *   (loadCatalogPaged): the first page shows at once, the rest as needed.
+ */
+
+import { readRaw, writeRaw } from "./storage.js";
+import { getSource, fetchPages } from "./sources.js";
+import { config } from "./config.js";
+import { emit } from "./events.js";
+
+const CACHE_PREFIX = "rainydays_catalog_v7"; // bump whenever the normalized shape changes
+export const CATALOG_TTL_MS = 5 * 60 * 1000;
+
+let inflight = null; // one network request per page, shared by all callers
+
+/**
+ * Fetch products from the active source (see sources.js) as a normalized array
+ * (shape used across list/cart/checkout UIs).
+ * Throws the typed errors from http.js (NetworkError, HttpError, BadShapeError).
+ */
+export function fetchProducts() {
+  return getSource().list();
+}
+
+/** Each source gets its own cache so switching never mixes catalogs */
+function cacheKey() {
+  return `${CACHE_PREFIX}:${getSource().name}`;
+}
+
+function readCache() {
+  try {
+    const cache = JSON.parse(readRaw(cacheKey()));
+    return cache && Array.isArray(cache.products) ? cache : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Cache a complete catalog and tell the page */
+function store(products) {
+  writeRaw(cacheKey(), JSON.stringify({ savedAt: Date.now(), products }));
+  emit("catalog:updated", { products });
+  return products;
+}
+
+/** Fetch once per page and store the result in the cache */
+function refresh() {
+  if (!inflight) {
+    inflight = fetchProducts()
+      .then(store)
+      .finally(() => { inflight = null; });
+  }
+  return inflight;
+}
+
+/**
+ * Get the catalog, preferring the cache.
+ * Resolves to { products, stale } where stale means "may be out of date".
+ * Only rejects when there is nothing cached and the network fails.
+ * @param {{ onRefresh?: (products: object[]) => void }} [opts]
+ */
+export async function loadCatalog({ onRefresh } = {}) {
+  const cache = readCache();
+
+  if (!cache) {
+    return { products: await refresh(), stale: false };
+  }
+
+  const age = Date.now() - Number(cache.savedAt || 0);
+  if (age < CATALOG_TTL_MS) return { products: cache.products, stale: false };
+
+  // Serve the old list now, swap in the new one when it arrives
+  refresh()
+    .then((products) => onRefresh?.(products))
+    .catch((err) => console.warn("Catalog refresh failed, using cached data:", err));
+
+  return { products: cache.products, stale: true };
+}
+
+/**
+ * The catalog for a page that can show it in pieces (the product list).
+ * With a cached catalog this is loadCatalog() with everything there.
+ * Otherwise only the first `limit` products are fetched; more() adds the next
+ * page and rest() all remaining ones (see fetchPages). `products` is one array
+ * that grows in place, in catalog order; once complete it is cached.
+ * Resolves to { products, stale, total, complete(), more(), rest() }.
+ */
+export async function loadCatalogPaged({ limit = config.pageSize, onRefresh } = {}) {
+  if (readCache()) {
+    const { products, stale } = await loadCatalog({ onRefresh });
+    const all = async () => products;
+    return { products, stale, total: products.length, complete: () => true, more: all, rest: all };
+  }
+
+  const source = getSource();
+  const first = await source.page({ page: 1, limit });
+  const products = first.products.slice();
+  const pages = first.pageCount;
+  let loaded = 1; // pages 1…loaded are in `products`
+  let pending = null;
+
+  const finish = () => {
+    if (loaded >= pages) store(products);
+    return products;
+  };
+
+  /** One page after another, so `products` stays in catalog order */
+  function more() {
+    if (loaded >= pages) return Promise.resolve(products);
+    pending ??= source
+      .page({ page: loaded + 1, limit })
+      .then((res) => {
+        products.push(...res.products);
+        loaded++;
+        return finish();
+      })
+      .finally(() => { pending = null; });
+    return pending;
+  }
+
+  async function rest() {
+    // Let a page already on its way land first; a failed one is fetched again below
+    while (pending) await pending.catch(() => {});
+    if (loaded >= pages) return products;
+    pending = fetchPages((n) => source.page({ page: n, limit }), loaded + 1, pages)
+      .then((results) => {
+        for (const res of results) products.push(...res.products);
+        loaded = pages;
+        return finish();
+      })
+      .finally(() => { pending = null; });
+    return pending;
+  }
+
+  if (pages <= 1) store(products);
+  return {
+    products,
+    stale: false,
+    total: first.total ?? products.length,
+    complete: () => loaded >= pages,
+    more,
+    rest,
+  };
+}
+
+/**
+ * Look up one product from the (cached) catalog.
+ * Resolves to { product, products, stale }; products is the catalog it came from.
+ * Throws NotFoundError when neither the cache nor the source knows the id.
+ */
+export async function getProduct(id, opts) {
+  const { products, stale } = await loadCatalog(opts);
+  let product = products.find((p) => String(p.id) === String(id));
+
+  // Not in the cached list: it may be newer than the cache, ask the source directly
+  if (!product) product = await getSource().get(id);
+  return { product, products, stale };
+}
@@ -0,0 +1,85 @@
+/**
+ * config.js
+ * Site-wide settings. Edit here rather than hunting for constants.
+ */
+
+export const config = {
+  // Where products come from: "noroff" | "fixture" | "memory"
+  // Override per session with ?source=fixture in any page URL.
+  source: "noroff",
+
+  // Noroff v2 REST endpoint
+  endpoint: "https://v2.api.noroff.dev/rainy-days",
+
+  // Products per request when a source fetches page by page, and how many of
+  // those requests may run at once (see sources.js)
+  pageSize: 100,
+  pageConcurrency: 3,
+
+  // Static JSON file in the Noroff response shape ({ data: [...] })
+  fixtureUrl: "data/products.json",
+
+  // Request defaults (see http.js): per-attempt timeout, retries, first backoff delay
+  http: { timeout: 8000, retries: 2, backoff: 400 },
+
+  // Quantity caps (see limits.js). Catalog stock / maxPerOrder can lower perProduct.
+  limits: { perProduct: 10, perOrder: 20 },
+
+  // Where placed orders are POSTed (see orders.js); "" = local mock, nothing leaves the browser
+  orders: { endpoint: "" },
+
+  // Products page grid (see grid.js): cards added per scroll step, most cards kept in the DOM,
+  // and infinite scroll (false = a "Show more" button)
+  list: { pageSize: 12, maxCards: 48, infiniteScroll: true },
+
+  // Move between list, detail and cart without a full page reload (see router.js)
+  router: { softNavigation: true },
+
+  // Cache the shop for offline use with the service worker in sw.js (see offline.js)
+  offline: { serviceWorker: true },
+
+  // Usage events (see analytics.js). consent: collect until the shopper opts out in the footer.
+  // console logs each event; buffer = events kept in localStorage (0 = none);
+  // endpoint receives batches of batchSize, or whatever is waiting after flushInterval ms ("" = none)
+  analytics: { consent: true, console: false, buffer: 200, endpoint: "", batchSize: 10, flushInterval: 10000 },
+
+  // Language + display currency (see i18n.js). Prices are stored and priced in
+  // baseCurrency; the rate table converts them for display only.
+  i18n: {
+    defaultLanguage: "en",
+    languages: {
+      en: { name: "English", locale: "en-US" },
+      nb: { name: "Norsk", locale: "nb-NO" },
+    },
+    baseCurrency: "USD",
+    currencies: ["USD", "EUR", "GBP", "NOK", "SEK", "DKK"],
+    ratesUrl: "data/rates.json",
+  },
+
+  // Totals for cart + checkout (see pricing.js). Amounts are in USD.
+  pricing: {
+    defaultRegion: "US",
+    // Tax rate applied to goods after discounts, per shipping country/region
+    regions: {
+      US: { name: "United States", taxRate: 0 },
+      NO: { name: "Norway", taxRate: 0.25 },
+      SE: { name: "Sweden", taxRate: 0.25 },
+      DK: { name: "Denmark", taxRate: 0.25 },
+      GB: { name: "United Kingdom", taxRate: 0.2 },
+      DE: { name: "Germany", taxRate: 0.19 },
+    },
+    // First tier whose `under` is above the discounted subtotal wins
+    shippingTiers: [
+      { under: 50, cost: 9.99 },
+      { under: 100, cost: 5.99 },
+      { under: 150, cost: 3.99 },
+    ],
+    freeShippingFrom: 150,
+    // percent: value % off · fixed: value off · minSpend and expires (inclusive date) optional
+    promoCodes: {
+      RAINY10: { type: "percent", value: 10 },
+      STORM25: { type: "fixed", value: 25, minSpend: 150 },
+      AUTUMN15: { type: "percent", value: 15, minSpend: 100, expires: "2026-11-30" },
+    },
+  },
+};
@@ -0,0 +1,144 @@
+/**
+ * dom.js
+ * Small DOM helpers shared by every page: element builder, in-place
+ * patching, error bar, toasts, screen reader announcements and inline field errors.
+ */
+
+export function el(tag, attrs = {}, ...children) {
+const node = document.createElement(tag);
+for (const [k, v] of Object.entries(attrs || {})) {
+if (v === null || v === undefined) continue;
+if (k === "class" || k === "className") node.className = String(v);
+else if (k === "dataset" && v && typeof v === "object") {
+for (const [dk, dv] of Object.entries(v)) node.dataset[dk] = String(dv);
+} else if (k in node) {
+try { node[k] = v; } catch { node.setAttribute(k, String(v)); }
+} else {
+node.setAttribute(k, String(v));
+}
+}
+for (const c of children.flat()) {
+node.appendChild(typeof c === "string" ? document.createTextNode(c) : c);
+}
+return node;
+}
+
+
+/** Replace children efficiently. */
+export function replace(elm, ...kids) {
+const frag = document.createDocumentFragment();
+for (const k of kids.flat()) frag.appendChild(k);
+elm.replaceChildren(frag);
+}
+
+/**
+ * Make `from` look like `to` (a freshly built element) while keeping the
+ * nodes that match: same tag and class at the same position. Focus and the
+ * caret in a kept input survive; its value only changes when it differs.
+ * Listeners on `to` are not carried over, so patched views use delegation.
+ */
+export function morph(from, to) {
+  if (from.nodeType !== to.nodeType || from.nodeName !== to.nodeName || (from.className ?? "") !== (to.className ?? "")) {
+    from.replaceWith(to);
+    return to;
+  }
+  if (from.nodeType !== Node.ELEMENT_NODE) {
+    if (from.data !== to.data) from.data = to.data;
+    return from;
+  }
+  for (const { name } of [...from.attributes]) {
+    if (!to.hasAttribute(name)) from.removeAttribute(name);
+  }
+  for (const { name, value } of [...to.attributes]) {
+    if (from.getAttribute(name) !== value) from.setAttribute(name, value);
+  }
+  for (const prop of ["value", "checked", "disabled", "hidden"]) {
+    if (prop in from && from[prop] !== to[prop]) from[prop] = to[prop];
+  }
+  const next = [...to.childNodes];
+  next.forEach((child, i) => {
+    const current = from.childNodes[i];
+    if (current) morph(current, child);
+    else from.append(child);
+  });
+  while (from.childNodes.length > next.length) from.lastChild.remove();
+  return from;
+}
+
+export function displayError(message) {
+  let bar = document.querySelector(".error-bar");
+  if (!bar) {
+    bar = el("div", { class: "error-bar", role: "alert" }, message);
+    document.body.prepend(bar);
+  } else {
+    bar.textContent = message;
+  }
+}
+
+/**
+ * Read a message to screen reader users without showing it ("Quantity
+ * updated, total $12.00"). Repeating the same message is announced again.
+ */
+export function announce(message) {
+  let region = document.querySelector(".live-region");
+  if (!region) {
+    region = el("div", { class: "live-region sr-only", role: "status", "aria-live": "polite", "aria-atomic": "true" });
+    document.body.append(region);
+  }
+  region.textContent = "";
+  // A separate task, so the change from empty to the message is what gets read
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
+
+/**
+ * Short-lived message at the bottom of the page, optionally with one action
+ * button (e.g. "Undo"). A new toast replaces the previous one.
+ */
+export function showToast(message, { action, onAction, duration = 6000 } = {}) {
+  let region = document.querySelector(".toast-region");
+  if (!region) {
+    region = el("div", { class: "toast-region", role: "status", "aria-live": "polite" });
+    document.body.append(region);
+  }
+  const toast = el("div", { class: "toast" }, el("span", {}, message));
+  if (action) {
+    toast.append(
+      el("button", {
+        class: "ghost toast__action",
+        type: "button",
+        onclick: () => {
+          toast.remove();
+          onAction();
+        },
+      }, action)
+    );
+  }
+  replace(region, toast);
+  setTimeout(() => toast.remove(), duration);
+}
+
+/**
+ * Show (or clear) the inline error under a form field, wired up with
+ * aria-invalid + aria-describedby so screen readers read it with the field.
+ */
+export function setFieldError(form, name, message) {
+  const input = form.elements[name];
+  if (!input || input instanceof RadioNodeList) return;
+  const id = `${name}-error`;
+  let msg = document.getElementById(id);
+  if (!msg) {
+    msg = el("p", { id, class: "field-error", hidden: true });
+    (input.closest("label") || input).after(msg);
+  }
+  msg.textContent = message || "";
+  msg.hidden = !message;
+  if (message) {
+    input.setAttribute("aria-invalid", "true");
+    input.setAttribute("aria-describedby", id);
+  } else {
+    input.removeAttribute("aria-invalid");
+    input.removeAttribute("aria-describedby");
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * events.js
+ * App-wide events ("cart:updated", "wishlist:updated", …) are dispatched on window.
+ * Without a window (Node, workers) emit() does nothing, so cart, wishlist,
+ * catalog and i18n can be imported and used headless.
+ */
+
+export function emit(name, detail) {
+  if (typeof window === "undefined") return;
+  window.dispatchEvent(new CustomEvent(name, { detail }));
+}
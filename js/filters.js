@@ -0,0 +1,101 @@
+/**
+ * filters.js
+ * Product list filter state: parse from / write to the URL query, and apply.
+ * Everything here is pure (no DOM), so a filtered view is just a URL.
+ * Text search is delegated to search.js (fuzzy, ranked by relevance).
+ *
+ *   products.html?gender=women&size=M&q=shell&sort=price-asc&min=50&max=150&onsale=1
+ */
+
+import { searchProducts } from "./search.js";
+
+export const SORTS = ["", "price-asc", "price-desc", "title", "newest"];
+
+export const DEFAULT_FILTERS = Object.freeze({
+  gender: "",   // "" | "women" | "men"
+  size: "",     // "" | "XS" … "XXL"
+  q: "",        // free-text search
+  sort: "",     // one of SORTS ("" = catalog order)
+  min: null,    // price range, inclusive; null = open
+  max: null,
+  onsale: false,
+});
+
+function toPrice(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/** Clean up any partial/loose state into the full, typed shape */
+export function normalizeFilters(input = {}) {
+  const gender = String(input.gender || "").trim().toLowerCase();
+  const sort = String(input.sort || "").trim().toLowerCase();
+  return {
+    gender: gender === "women" || gender === "men" ? gender : "",
+    size: String(input.size || "").trim().toUpperCase(),
+    q: String(input.q || "").trim(),
+    sort: SORTS.includes(sort) ? sort : "",
+    min: toPrice(input.min),
+    max: toPrice(input.max),
+    onsale: input.onsale === true || input.onsale === "1" || input.onsale === "true",
+  };
+}
+
+/** Read filter state from a query string ("?a=b" or URLSearchParams) */
+export function parseFilters(search = "") {
+  const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+  return normalizeFilters(Object.fromEntries(params));
+}
+
+/**
+ * Write filter state into a query string, keeping unrelated params
+ * (e.g. ?source=fixture). Defaults are left out so URLs stay short.
+ */
+export function serializeFilters(state, base = "") {
+  const params = new URLSearchParams(base);
+  const s = normalizeFilters(state);
+  for (const key of Object.keys(DEFAULT_FILTERS)) params.delete(key);
+  if (s.gender) params.set("gender", s.gender);
+  if (s.size) params.set("size", s.size);
+  if (s.q) params.set("q", s.q);
+  if (s.sort) params.set("sort", s.sort);
+  if (s.min !== null) params.set("min", String(s.min));
+  if (s.max !== null) params.set("max", String(s.max));
+  if (s.onsale) params.set("onsale", "1");
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+/** Does the state narrow or reorder the list? (false = everything, in catalog order) */
+export function hasActiveFilters(state) {
+  return serializeFilters(state) !== "";
+}
+
+const byPrice = (a, b) => a.price - b.price;
+const comparators = {
+  "price-asc": byPrice,
+  "price-desc": (a, b) => byPrice(b, a),
+  title: (a, b) => a.title.localeCompare(b.title),
+  newest: (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
+};
+
+/** Filter + sort a product list by a state object (pure function) */
+export function applyFilters(raw, state = DEFAULT_FILTERS) {
+  const { gender, size, q, sort, min, max, onsale } = normalizeFilters(state);
+  const filtered = raw.filter((p) => {
+    // Gender: allow "unisex" to be included when "women" or "men" is selected
+    const matchGender = !gender || p.gender === gender || p.gender === "unisex";
+    const matchSize = !size || (Array.isArray(p.sizes) && p.sizes.includes(size));
+    const matchMin = min === null || p.price >= min;
+    const matchMax = max === null || p.price <= max;
+    const matchSale = !onsale || p.onSale === true;
+
+    return matchGender && matchSize && matchMin && matchMax && matchSale;
+  });
+
+  // With a query the list comes back ranked by relevance; an explicit sort
+  // still wins, and Array.prototype.sort is stable so ties keep that order
+  const out = q ? searchProducts(filtered, q) : filtered;
+  return comparators[sort] ? out.sort(comparators[sort]) : out;
+}
@@ -0,0 +1,180 @@
+/**
+ * grid.js
+ * A card grid that keeps only a window of the results in the DOM.
+ *
+ * - update(items, query) shows a new result list. Cards are keyed by id and
+ *   reused while their product and the query are unchanged, so a filter change
+ *   only inserts, moves and removes the cards that differ.
+ * - Infinite scroll: IntersectionObserver sentinels just above and below the
+ *   grid grow the window by pageSize. Past maxCards, whole rows leave from the
+ *   far end; the top sentinel grows by the height of the rows removed above the
+ *   viewport, so the page does not jump and scrolling back up brings them back.
+ * - With infinite: false (or no IntersectionObserver) a "Show more" button
+ *   grows the window instead, and nothing is trimmed.
+ * - Items still to be fetched: while hasMore() is true, reaching the end calls
+ *   onEnd(); the caller fetches, passes the longer list to update(…, { reset: false })
+ *   and calls more().
+ */
+
+import { el } from "./dom.js";
+
+/**
+ * @param {HTMLElement} listEl  the grid container (display: grid); holds only cards
+ * @param {object} opts
+ * @param {(item: object, query: string) => HTMLElement} opts.renderCard
+ * @param {() => HTMLElement} opts.renderEmpty   shown when there are no items
+ * @param {() => string} opts.moreLabel          text of the "Show more" button
+ * @param {() => boolean} [opts.hasMore]         more items exist beyond the list given to update()
+ * @param {() => void} [opts.onEnd]              the window reached the end of the list and hasMore()
+ */
+export function createCardGrid(
+  listEl,
+  { renderCard, renderEmpty, moreLabel, pageSize = 12, maxCards = 48, infinite = true, hasMore = () => false, onEnd = () => {} }
+) {
+  let items = [];
+  let query = "";
+  let start = 0; // rendered window: items[start, end)
+  let end = 0;
+  let spacerPx = 0; // height of the rows dropped above the window (held by the top sentinel)
+  const cards = new Map(); // id → { item, query, node } for the rendered cards
+
+  const topSentinel = el("div", { class: "grid__sentinel", ariaHidden: "true" });
+  const bottomSentinel = el("div", { class: "grid__sentinel", ariaHidden: "true" });
+  const moreBtn = el("button", { class: "ghost grid__more", type: "button", hidden: true, onclick: () => showMore() });
+
+  const observer =
+    infinite && typeof IntersectionObserver === "function"
+      ? new IntersectionObserver(
+          (entries) => {
+            for (const entry of entries) {
+              if (!entry.isIntersecting) continue;
+              if (entry.target === bottomSentinel) showMore();
+              else showEarlier();
+            }
+          },
+          { rootMargin: "600px 0px" }
+        )
+      : null;
+
+  if (observer) {
+    listEl.before(topSentinel);
+    listEl.after(bottomSentinel);
+    observer.observe(topSentinel);
+    observer.observe(bottomSentinel);
+  } else {
+    listEl.after(moreBtn);
+  }
+
+  function cardFor(item) {
+    const entry = cards.get(item.id);
+    if (entry?.item === item && entry.query === query) return entry.node;
+    const node = renderCard(item, query);
+    cards.set(item.id, { item, query, node });
+    return node;
+  }
+
+  /** Cards per row, so trimming removes whole rows and columns stay put */
+  function columnCount() {
+    return Math.max(1, getComputedStyle(listEl).gridTemplateColumns.split(" ").filter(Boolean).length);
+  }
+
+  function setSpacer(px) {
+    spacerPx = Math.max(0, px);
+    topSentinel.style.height = spacerPx ? `${spacerPx}px` : "";
+  }
+
+  /** Make the DOM match items[start, end), touching only what differs */
+  function render() {
+    moreBtn.textContent = moreLabel();
+    moreBtn.hidden = end >= items.length && !hasMore();
+    if (!items.length) {
+      cards.clear();
+      setSpacer(0);
+      listEl.replaceChildren(renderEmpty());
+      return;
+    }
+
+    let cursor = listEl.firstChild;
+    for (const node of items.slice(start, end).map(cardFor)) {
+      if (node === cursor) cursor = cursor.nextSibling;
+      else listEl.insertBefore(node, cursor);
+    }
+    // Whatever is left is no longer in the window (or was a notice/spinner)
+    while (cursor) {
+      const next = cursor.nextSibling;
+      cursor.remove();
+      cursor = next;
+    }
+    for (const [id, entry] of cards) if (!entry.node.isConnected) cards.delete(id);
+  }
+
+  /** Re-arm a sentinel that is still in view (the observer only reports changes) */
+  function recheck(sentinel) {
+    if (!observer) return;
+    observer.unobserve(sentinel);
+    observer.observe(sentinel);
+  }
+
+  /** Grow the window downwards; with infinite scroll, drop rows from the top */
+  function showMore() {
+    if (end >= items.length) {
+      if (hasMore()) onEnd();
+      return;
+    }
+    end = Math.min(items.length, end + pageSize);
+    render();
+    const cols = columnCount();
+    const drop = observer ? Math.floor(Math.max(0, end - start - maxCards) / cols) * cols : 0;
+    if (drop) {
+      const nodes = listEl.children;
+      setSpacer(spacerPx + nodes[drop].offsetTop - nodes[0].offsetTop);
+      start += drop;
+      render();
+    }
+    recheck(bottomSentinel);
+  }
+
+  /** Grow the window back upwards into dropped rows; drop rows from the bottom */
+  function showEarlier() {
+    if (start === 0) return;
+    const cols = columnCount();
+    const first = listEl.firstElementChild;
+    const before = first.offsetTop;
+    start = Math.max(0, start - Math.ceil(pageSize / cols) * cols);
+    end = Math.min(end, start + maxCards);
+    render();
+    // The rows put back now fill space the sentinel held
+    setSpacer(start ? spacerPx - (first.offsetTop - before) : 0);
+    recheck(topSentinel);
+  }
+
+  return {
+    /** Show a new result list from the top (reset: false keeps the window, e.g. a catalog refresh) */
+    update(nextItems, nextQuery = "", { reset = true } = {}) {
+      items = nextItems;
+      query = nextQuery;
+      if (reset || end > items.length || !end) {
+        start = 0;
+        end = Math.min(items.length, pageSize);
+        setSpacer(0);
+      }
+      render();
+      recheck(bottomSentinel);
+    },
+    /** Grow the window by one step, e.g. once the items onEnd() asked for arrived */
+    more: () => showMore(),
+    /** Rebuild every card in the window (new language/currency) */
+    redraw() {
+      cards.clear();
+      listEl.replaceChildren();
+      render();
+    },
+    /** Stop observing and take the sentinels/button out of the page */
+    destroy() {
+      observer?.disconnect();
+      topSentinel.remove();
+      bottomSentinel.remove();
+      moreBtn.remove();
+    },
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * http.js
+ * fetch() with timeouts, retries and typed errors.
+ *
+ * - Each attempt is cut off after `timeout` ms (AbortController).
+ * - Network errors, timeouts and 5xx responses are retried with
+ *   exponential backoff (backoff, 2×backoff, 4×backoff…).
+ * - Failures are thrown as NetworkError, NotFoundError, HttpError or BadShapeError
+ *   so callers can react to the kind of failure, not parse a message.
+ * - A caller-supplied `signal` cancels everything, including the wait between retries.
+ */
+
+import { config } from "./config.js";
+
+/** Any non-2xx response */
+export class HttpError extends Error {
+  constructor(message, { status, url, cause } = {}) {
+    super(message, { cause });
+    this.name = "HttpError";
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/** 404: the thing asked for does not exist */
+export class NotFoundError extends HttpError {
+  constructor(message = "Not found", opts = {}) {
+    super(message, { ...opts, status: 404 });
+    this.name = "NotFoundError";
+  }
+}
+
+/** No usable response at all: offline, DNS, CORS, timeout */
+export class NetworkError extends Error {
+  constructor(message = "Network error", { url, timedOut = false, cause } = {}) {
+    super(message, { cause });
+    this.name = "NetworkError";
+    this.url = url;
+    this.timedOut = timedOut;
+  }
+}
+
+/** The response arrived but is not what we expected */
+export class BadShapeError extends Error {
+  constructor(message = "Unexpected response shape", { url, cause } = {}) {
+    super(message, { cause });
+    this.name = "BadShapeError";
+    this.url = url;
+  }
+}
+
+/** Worth trying again later? (network trouble or a server-side error) */
+export function isRetryable(err) {
+  return err instanceof NetworkError || (err instanceof HttpError && err.status >= 500);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    // Drop the listener once the wait is over: `signal` may outlive many requests
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+async function attempt(url, init, timeout, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      if (signal?.aborted) throw err; // cancelled by the caller: not our error to type
+      if (timedOut) throw new NetworkError("Request timed out", { url, timedOut, cause: err });
+      throw new NetworkError(err.message || "Network error", { url, cause: err });
+    }
+
+    if (res.status === 404) throw new NotFoundError(`Not found: ${url}`, { url });
+    if (!res.ok) throw new HttpError(`HTTP ${res.status}`, { status: res.status, url });
+    return res;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * fetch() with timeout + retry. Resolves to the Response (always ok).
+ * @param {string} url
+ * @param {RequestInit & { timeout?: number, retries?: number, backoff?: number }} [opts]
+ */
+export async function request(url, opts = {}) {
+  const {
+    timeout = config.http.timeout,
+    retries = config.http.retries,
+    backoff = config.http.backoff,
+    signal,
+    ...init
+  } = opts;
+
+  for (let n = 0; ; n++) {
+    try {
+      return await attempt(url, init, timeout, signal);
+    } catch (err) {
+      if (signal?.aborted || n >= retries || !isRetryable(err)) throw err;
+      await sleep(backoff * 2 ** n, signal);
+    }
+  }
+}
+
+/** request() + JSON body; unreadable JSON becomes BadShapeError */
+export async function requestJson(url, opts = {}) {
+  const res = await request(url, {
+    ...opts,
+    headers: { Accept: "application/json", ...opts.headers },
+  });
+  try {
+    return await res.json();
+  } catch (err) {
+    throw new BadShapeError("Response was not valid JSON", { url, cause: err });
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * i18n.js
+ * Language and display currency, and everything that depends on them.
+ *
+ * - UI strings live in bundles (locales/en.js, locales/nb.js). t(key, params)
+ *   looks a key up in the chosen language and falls back to English.
+ *   A value may be { one, other } to pick a plural form by params.count.
+ * - Prices are stored and calculated in config.i18n.baseCurrency; formatPrice()
+ *   converts with the exchange-rate table (config.i18n.ratesUrl) for display only.
+ *   The last good table is kept in storage, so a page can render before
+ *   loadRates() answers; a table that differs fires "locale:changed".
+ * - The shopper's choice is persisted; setLocale() fires "locale:changed".
+ */
+
+import { config } from "./config.js";
+import { readRaw, writeRaw } from "./storage.js";
+import { requestJson, BadShapeError } from "./http.js";
+import { emit } from "./events.js";
+import en from "./locales/en.js";
+import nb from "./locales/nb.js";
+
+const SETTINGS_KEY = "rainydays_locale";
+const RATES_KEY = "rainydays_rates";
+const BUNDLES = { en, nb };
+
+const base = config.i18n.baseCurrency;
+let rates = readRates(); // with no saved table only the base currency is shown until loadRates() succeeds
+let settings = readSettings();
+const formatters = new Map(); // "nb-NO|NOK" → Intl.NumberFormat
+
+/** CODE → rate for the usable entries of a rate table, always with base: 1 */
+function validRates(table) {
+  const valid = Object.entries(table || {}).filter(([, r]) => typeof r === "number" && r > 0);
+  return { ...Object.fromEntries(valid), [base]: 1 };
+}
+
+function readRates() {
+  try { return validRates(JSON.parse(readRaw(RATES_KEY))); }
+  catch { return validRates({}); }
+}
+
+function readSettings() {
+  const { defaultLanguage, languages } = config.i18n;
+  let saved = {};
+  try { saved = JSON.parse(readRaw(SETTINGS_KEY)) || {}; }
+  catch { /* nothing saved yet */ }
+  return {
+    language: languages[saved.language] ? saved.language : defaultLanguage,
+    currency: config.i18n.currencies.includes(saved.currency) ? saved.currency : base,
+  };
+}
+
+/** { language, currency } as chosen (the currency may lack a rate, see formatPrice) */
+export function getLocale() {
+  return { ...settings };
+}
+
+/** BCP 47 tag for Intl, e.g. "nb-NO" */
+export function localeTag() {
+  return config.i18n.languages[settings.language].locale;
+}
+
+/** Save a new language and/or currency and tell the page to re-render */
+export function setLocale(next) {
+  settings = {
+    language: config.i18n.languages[next.language] ? next.language : settings.language,
+    currency: config.i18n.currencies.includes(next.currency) ? next.currency : settings.currency,
+  };
+  writeRaw(SETTINGS_KEY, JSON.stringify(settings));
+  emit("locale:changed", getLocale());
+  return getLocale();
+}
+
+/** Currencies from config that have an exchange rate */
+export function getCurrencies() {
+  return config.i18n.currencies.filter((c) => rates[c]);
+}
+
+/**
+ * Fetch the exchange-rate table ({ base, rates: { CODE: number } }) and save it.
+ * Fires "locale:changed" when it differs from the table in use, so prices
+ * re-render. On failure the saved table (or the base currency) stays; the
+ * shop keeps working.
+ */
+export async function loadRates(url = config.i18n.ratesUrl) {
+  try {
+    const json = await requestJson(url, { retries: 0 });
+    if (json?.base !== base || typeof json.rates !== "object") {
+      throw new BadShapeError(`Rates must be based on ${base}`, { url });
+    }
+    const next = validRates(json.rates);
+    writeRaw(RATES_KEY, JSON.stringify(next));
+    if (JSON.stringify(next) !== JSON.stringify(rates)) {
+      rates = next;
+      emit("locale:changed", getLocale());
+    }
+  } catch (err) {
+    console.warn("i18n: exchange rates unavailable, prices use the last saved table or", base, err);
+  }
+  return { ...rates };
+}
+
+/** Look up a UI string and fill in {placeholders} */
+export function t(key, params = {}) {
+  let value = BUNDLES[settings.language]?.[key] ?? en[key];
+  if (value === undefined) {
+    console.warn(`i18n: missing string "${key}"`);
+    return key;
+  }
+  if (typeof value === "object") {
+    value = value[new Intl.PluralRules(localeTag()).select(params.count ?? 0)] ?? value.other;
+  }
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/** A base-currency amount in the shopper's currency, e.g. "1 384,39 kr" */
+export function formatPrice(amount) {
+  const currency = rates[settings.currency] ? settings.currency : base;
+  const id = `${localeTag()}|${currency}`;
+  if (!formatters.has(id)) {
+    formatters.set(id, new Intl.NumberFormat(localeTag(), { style: "currency", currency, minimumFractionDigits: 2 }));
+  }
+  return formatters.get(id).format(Number(amount) * rates[currency]);
+}
+
+/** A date in the shopper's language */
+export function formatDate(value, options = { dateStyle: "medium" }) {
+  return new Date(value).toLocaleString(localeTag(), options);
+}
+
+/** Country name in the shopper's language (falls back to the name in config) */
+export function regionName(code) {
+  try {
+    return new Intl.DisplayNames([localeTag()], { type: "region" }).of(code);
+  } catch {
+    return config.pricing.regions[code]?.name || code;
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * limits.js
+ * Quantity caps for the cart (pure, no DOM/storage).
+ *
+ * Three caps apply, smallest wins:
+ * - stock          units left, from the catalog (product.stock; null = not tracked)
+ * - per product    product.maxPerOrder, else config.limits.perProduct
+ * - per order      config.limits.perOrder, across every line in the cart
+ * The per-product caps count all sizes of a product together; a size with
+ * its own stock (product.sizeStock) is capped by that as well (lineLimit).
+ */
+
+import { config } from "./config.js";
+
+/**
+ * The cap for one product.
+ * @returns {{ max: number, reason: "stock"|"product" }}
+ */
+export function productLimit(product = {}, rules = config.limits) {
+  let limit = { max: rules.perProduct ?? Infinity, reason: "product" };
+  if (Number.isInteger(product.maxPerOrder) && product.maxPerOrder < limit.max) {
+    limit = { max: product.maxPerOrder, reason: "product" };
+  }
+  if (Number.isInteger(product.stock) && product.stock <= limit.max) {
+    limit = { max: product.stock, reason: "stock" };
+  }
+  return limit;
+}
+
+/**
+ * The cap for one cart line: productLimit, lowered to the units left in the
+ * line's size (see unitsLeft). When the size is the lower cap, `shared` keeps
+ * the product-wide one, which still counts every size together.
+ * @returns {{ max: number, reason: "stock"|"product", shared?: { max: number, reason: string } }}
+ */
+export function lineLimit(product = {}, size = "", rules = config.limits) {
+  const shared = productLimit(product, rules);
+  const left = unitsLeft(product, size);
+  if (left === null || left >= shared.max) return shared;
+  return { max: left, reason: "stock", shared };
+}
+
+/**
+ * Largest allowed quantity for one cart line.
+ * @param {number} requested
+ * @param {{ limit?: object, sameProduct?: number, inOrder?: number, rules?: object }} [ctx]
+ *   limit: productLimit or lineLimit; sameProduct: units of this product on *other* lines;
+ *   inOrder: units on all other lines
+ * @returns {{ qty: number, reason: null|"stock"|"product"|"order", max: number|null }}
+ *   max: the cap behind `reason`, for messages
+ */
+export function clampQty(requested, { limit, sameProduct = 0, inOrder = 0, rules = config.limits } = {}) {
+  const { max, reason: lineReason, shared } = limit || productLimit({}, rules);
+  const perOrder = rules.perOrder ?? Infinity;
+  const caps = shared
+    ? [
+        { max: shared.max, room: shared.max - sameProduct, reason: shared.reason },
+        { max, room: max, reason: lineReason }, // this size only
+      ]
+    : [{ max, room: max - sameProduct, reason: lineReason }];
+  caps.push({ max: perOrder, room: perOrder - inOrder, reason: "order" });
+  let qty = Math.max(0, Math.floor(Number(requested)) || 0);
+  let applied = { reason: null, max: null };
+  for (const cap of caps) {
+    if (cap.room < qty) {
+      qty = Math.max(0, cap.room);
+      applied = cap;
+    }
+  }
+  return { qty, reason: applied.reason, max: applied.max };
+}
+
+/**
+ * Units left in one size: product.sizeStock[size] when that size is tracked,
+ * else product.stock (null = not tracked). A sold-out product has none in any size.
+ */
+export function unitsLeft(product = {}, size = "") {
+  if (product.stock === 0) return 0;
+  const inSize = product.sizeStock?.[String(size).toUpperCase()];
+  return Number.isInteger(inSize) ? inSize : product.stock ?? null;
+}
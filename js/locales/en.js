@@ -0,0 +1,244 @@
+/**
+ * English UI strings (the fallback for every other bundle).
+ * Keys are grouped by page/feature; {name} placeholders are filled by t().
+ */
+export default {
+  // Header, footer, shared
+  "nav.orders": "My orders",
+  "nav.wishlist": "View wishlist",
+  "nav.cart": "View cart",
+  "nav.language": "Language",
+  "nav.currency": "Currency",
+  "nav.offline": "Offline",
+  "footer.follow": "Follow Us",
+  "footer.analytics": "Share anonymous usage data to help improve the shop",
+  "common.loading": "Loading…",
+  "common.retry": "Retry",
+  "common.remove": "Remove",
+  "common.backToProducts": "Back to products",
+  "common.size": "Size {size}",
+
+  // Errors from http.js
+  "error.timeout": "The server took too long to respond.",
+  "error.offline": "Check your internet connection and try again.",
+  "error.notFound": "It could not be found.",
+  "error.badShape": "The server sent data we could not read.",
+  "error.server": "The server had a problem ({status}).",
+  "error.generic": "Something went wrong.",
+  "error.cartRepaired": {
+    one: "{count} saved cart item could not be restored.",
+    other: "{count} saved cart items could not be restored.",
+  },
+
+  // Home
+  "home.heading": "Built for real weather",
+  "home.cta": "Shop jackets now",
+  "home.tagline": "Stay dry. Go further. Explore durable storm-ready jackets",
+
+  // Product list + filters
+  "list.heading": "Products",
+  "list.filters": "Filters",
+  "list.results": "Product results",
+  "list.loadError": "Could not load products.",
+  "list.empty": "No products matched your filters.",
+  "list.more": "Show more",
+  "list.stale": "You are seeing saved product data — prices may be outdated.",
+  "filters.gender": "Gender",
+  "filters.genderLabel": "Filter by gender",
+  "filters.all": "All",
+  "filters.women": "Female",
+  "filters.men": "Male",
+  "filters.size": "Size",
+  "filters.sizeLabel": "Filter by size",
+  "filters.allSizes": "All sizes",
+  "filters.search": "Search",
+  "filters.searchPlaceholder": "Find products…",
+  "filters.sort": "Sort by",
+  "filters.sortLabel": "Sort products",
+  "filters.featured": "Featured",
+  "filters.priceAsc": "Price: low to high",
+  "filters.priceDesc": "Price: high to low",
+  "filters.name": "Name",
+  "filters.newest": "Newest",
+  "filters.min": "Min price ({currency})",
+  "filters.max": "Max price ({currency})",
+  "filters.onSale": "On sale",
+  "filters.apply": "Apply",
+  "filters.clear": "Clear",
+
+  // Product cards + detail page
+  "gender.women": "women",
+  "gender.men": "men",
+  "gender.unisex": "unisex",
+  "price.was": "Was ",
+  "price.now": "now ",
+  "price.unavailable": "Price unavailable",
+  "product.addToCart": "Add to cart",
+  "product.addLabel": "Add {title} to cart",
+  "product.added": "Added",
+  "product.unavailable": "Unavailable",
+  "product.outOfStock": "Out of stock",
+  "product.outOfStockLabel": "{title} is out of stock",
+  "product.save": "Save {title} for later",
+  "product.unsave": "Remove {title} from your wishlist (every size)",
+  "product.noId": "No product ID specified.",
+  "product.goBack": "Go back to products",
+  "product.loading": "Loading product…",
+  "product.noDescription": "No description available.",
+  "product.selectSize": "Select Size:",
+  "product.chooseSize": "Please choose a size.",
+  "product.sizeSoldOut": "sold out",
+  "product.sizeLeft": {
+    one: "{count} left",
+    other: "{count} left",
+  },
+  "gallery.label": "Product images",
+  "gallery.show": "Show image {n} of {count}",
+  "gallery.zoom": "Zoom in on {alt}",
+  "product.loadError": "Could not load product.",
+  "product.returnToList": "Return to product list",
+  "product.notFound": "Product not found",
+  "product.notFoundBody": "This jacket may have been removed or the link is wrong.",
+  "product.browseAll": "Browse all products",
+  "product.alsoLike": "You may also like",
+  "product.recentlyViewed": "Recently viewed",
+
+  // Quantity caps (limits.js)
+  "limit.stock": "Only {max} left in stock.",
+  "limit.soldOut": "This item is out of stock.",
+  "limit.product": "Limit of {max} per order for this item.",
+  "limit.order": "An order can hold at most {max} items.",
+
+  // Cart
+  "cart.heading": "Your Cart",
+  "cart.srHeading": "Your Shopping Cart",
+  "cart.empty": "Your cart is empty.",
+  "cart.decrease": "Decrease quantity",
+  "cart.increase": "Increase quantity",
+  "cart.qtyFor": "Quantity for {title}",
+  "cart.qtyUpdated": "Quantity updated, total {total}",
+  "cart.updated": "Cart updated, total {total}",
+  "cart.saveForLater": "Save for later",
+  "cart.shipTo": "Ship to",
+  "cart.checkout": "Go to checkout",
+  "cart.clear": "Clear cart",
+  "undo.action": "Undo",
+  "undo.removed": "Removed {title}.",
+  "undo.cleared": "Cart cleared.",
+  "undo.done": "Undone.",
+  "undo.stale": "Nothing to undo; the cart has changed since.",
+
+  // Cart changes found against the catalog (reconcile.js)
+  "change.heading": "Your cart has changed",
+  "change.ok": "OK, got it",
+  "change.withSize": "{title} (size {size})",
+  "change.removed": "{name} is no longer sold and was removed from your cart.",
+  "change.soldout": "{name} is sold out and was removed from your cart.",
+  "change.qtyLowered": "{name} was lowered from {from} to {to}.",
+  "change.qtyRemoved": "{name} was removed from your cart.",
+  "change.size": "{title} is no longer available in size {size} and was removed from your cart.",
+  "change.price": "{name} changed price from {from} to {to}.",
+
+  // Totals (cart, checkout, order)
+  "summary.subtotal": "Subtotal",
+  "summary.saved": "You saved",
+  "summary.promo": "Promo",
+  "summary.promoCode": "Promo ({code})",
+  "summary.shipping": "Shipping",
+  "summary.free": "Free",
+  "summary.freeShippingHint": "Spend {amount} more for free shipping.",
+  "summary.estimatedTax": "Estimated tax",
+  "summary.tax": "Tax",
+  "summary.taxRate": "Tax ({rate}%)",
+  "summary.taxRegion": "Tax ({rate}%, {region})",
+  "summary.total": "Total",
+  "promo.label": "Promo code",
+  "promo.apply": "Apply",
+  "promo.unknown": "\"{code}\" is not a valid code.",
+  "promo.expired": "{code} has expired.",
+  "promo.minSpend": "Spend {amount} or more to use {code}.",
+  "promo.applied": "{code} applied.",
+  "promo.removed": "Promo code removed.",
+
+  // Checkout
+  "checkout.heading": "Checkout",
+  "checkout.summary": "Order summary",
+  "checkout.billing": "Billing details",
+  "checkout.name": "Full name",
+  "checkout.email": "Email",
+  "checkout.address": "Address",
+  "checkout.city": "City",
+  "checkout.zip": "Postal code",
+  "checkout.country": "Country",
+  "checkout.payment": "Payment",
+  "checkout.cardNumber": "Card number",
+  "checkout.expiry": "Expiry",
+  "checkout.cvc": "CVC",
+  "checkout.placeOrder": "Place order",
+  "checkout.placing": "Placing order…",
+  "checkout.loadError": "Could not load your order summary.",
+  "checkout.fix": {
+    one: "Please fix the highlighted field.",
+    other: "Please fix the {count} highlighted fields.",
+  },
+  "checkout.notLoaded": "Your order summary has not loaded yet.",
+  "checkout.reviewChanges": "Please review the changes to your cart before placing the order.",
+  "checkout.failed": "We could not place your order.",
+
+  // Checkout validation (validation.js)
+  "validation.name": "Enter your full name.",
+  "validation.emailMissing": "Enter your email address.",
+  "validation.email": "Enter a valid email address, e.g. name@example.com.",
+  "validation.address": "Enter your street address.",
+  "validation.city": "Enter your city.",
+  "validation.zipMissing": "Enter your postal code.",
+  "validation.zip": "Enter a valid postal code, e.g. {example}.",
+  "validation.cardMissing": "Enter your card number.",
+  "validation.cardDigits": "Card number can only contain digits.",
+  "validation.cardBrand": "We accept Visa, Mastercard, American Express and Discover.",
+  "validation.cardLength": "{brand} numbers have {lengths} digits.",
+  "validation.cardInvalid": "That card number is not valid. Please check it.",
+  "validation.or": " or ",
+  "validation.expiryFormat": "Enter the expiry date as MM/YY.",
+  "validation.expiryMonth": "Expiry month must be 01–12.",
+  "validation.expired": "This card has expired.",
+  "validation.cvc": "Enter the {length}-digit security code.",
+
+  // Order confirmation + history
+  "order.notFound": "Order not found",
+  "order.notFoundBody": "We have no record of that order in this browser.",
+  "order.seeOrders": "See my orders",
+  "order.thanks": "Thank You!",
+  "order.placedNotice": "Your order has been placed. A confirmation is on its way to {email}.",
+  "order.number": "Order number",
+  "order.placed": "Placed",
+  "order.status": "Status",
+  "order.status.pending": "pending",
+  "order.status.confirmed": "confirmed",
+  "order.status.queued": "queued",
+  "order.status.failed": "failed",
+  "order.queuedNotice": "You are offline, so your order is saved and will be sent as soon as you are back online.",
+  "order.failedNotice": "We could not send this order. Please place it again or contact us.",
+  "order.shipTo": "Ship to",
+  "order.paidWith": "Paid with",
+  "order.cardEnding": "Card ending in {last4}",
+  "order.card": "Card",
+  "order.print": "Print",
+  "order.continue": "Continue Shopping",
+  "orders.heading": "My orders",
+  "orders.empty": "You have not placed any orders yet.",
+  "orders.start": "Start shopping",
+  "orders.order": "Order",
+  "orders.date": "Date",
+  "orders.items": "Items",
+  "orders.total": "Total",
+
+  // Wishlist
+  "wishlist.heading": "Saved for later",
+  "wishlist.qty": "Qty {qty}",
+  "wishlist.gone": "No longer available",
+  "wishlist.moveToCart": "Move to cart",
+  "wishlist.item": "Saved item",
+  "wishlist.empty": "Nothing saved yet. Tap the heart on any jacket to keep it here.",
+  "wishlist.browse": "Browse jackets",
+};
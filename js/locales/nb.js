@@ -0,0 +1,243 @@
+/**
+ * Norwegian (bokmål) UI strings. Missing keys fall back to English (en.js).
+ */
+export default {
+  // Header, footer, shared
+  "nav.orders": "Mine bestillinger",
+  "nav.wishlist": "Se ønskelisten",
+  "nav.cart": "Se handlekurven",
+  "nav.language": "Språk",
+  "nav.currency": "Valuta",
+  "nav.offline": "Frakoblet",
+  "footer.follow": "Følg oss",
+  "footer.analytics": "Del anonyme bruksdata for å gjøre butikken bedre",
+  "common.loading": "Laster …",
+  "common.retry": "Prøv igjen",
+  "common.remove": "Fjern",
+  "common.backToProducts": "Tilbake til produktene",
+  "common.size": "Størrelse {size}",
+
+  // Errors from http.js
+  "error.timeout": "Serveren brukte for lang tid på å svare.",
+  "error.offline": "Sjekk internettforbindelsen og prøv igjen.",
+  "error.notFound": "Den ble ikke funnet.",
+  "error.badShape": "Serveren sendte data vi ikke kunne lese.",
+  "error.server": "Serveren fikk et problem ({status}).",
+  "error.generic": "Noe gikk galt.",
+  "error.cartRepaired": {
+    one: "{count} lagret vare i handlekurven kunne ikke gjenopprettes.",
+    other: "{count} lagrede varer i handlekurven kunne ikke gjenopprettes.",
+  },
+
+  // Home
+  "home.heading": "Laget for ekte vær",
+  "home.cta": "Handle jakker nå",
+  "home.tagline": "Hold deg tørr. Kom lenger. Utforsk slitesterke jakker som tåler storm",
+
+  // Product list + filters
+  "list.heading": "Produkter",
+  "list.filters": "Filtre",
+  "list.results": "Produktresultater",
+  "list.loadError": "Kunne ikke laste produktene.",
+  "list.empty": "Ingen produkter passet filtrene dine.",
+  "list.more": "Vis flere",
+  "list.stale": "Du ser lagrede produktdata — prisene kan være utdaterte.",
+  "filters.gender": "Kjønn",
+  "filters.genderLabel": "Filtrer på kjønn",
+  "filters.all": "Alle",
+  "filters.women": "Dame",
+  "filters.men": "Herre",
+  "filters.size": "Størrelse",
+  "filters.sizeLabel": "Filtrer på størrelse",
+  "filters.allSizes": "Alle størrelser",
+  "filters.search": "Søk",
+  "filters.searchPlaceholder": "Finn produkter …",
+  "filters.sort": "Sorter etter",
+  "filters.sortLabel": "Sorter produktene",
+  "filters.featured": "Utvalgte",
+  "filters.priceAsc": "Pris: lav til høy",
+  "filters.priceDesc": "Pris: høy til lav",
+  "filters.name": "Navn",
+  "filters.newest": "Nyeste",
+  "filters.min": "Minstepris ({currency})",
+  "filters.max": "Makspris ({currency})",
+  "filters.onSale": "På salg",
+  "filters.apply": "Bruk",
+  "filters.clear": "Nullstill",
+
+  // Product cards + detail page
+  "gender.women": "dame",
+  "gender.men": "herre",
+  "gender.unisex": "unisex",
+  "price.was": "Før ",
+  "price.now": "nå ",
+  "price.unavailable": "Pris ikke tilgjengelig",
+  "product.addToCart": "Legg i handlekurven",
+  "product.addLabel": "Legg {title} i handlekurven",
+  "product.added": "Lagt til",
+  "product.unavailable": "Ikke tilgjengelig",
+  "product.outOfStock": "Utsolgt",
+  "product.outOfStockLabel": "{title} er utsolgt",
+  "product.save": "Lagre {title} til senere",
+  "product.unsave": "Fjern {title} fra ønskelisten (alle størrelser)",
+  "product.noId": "Ingen produkt-ID oppgitt.",
+  "product.goBack": "Gå tilbake til produktene",
+  "product.loading": "Laster produktet …",
+  "product.noDescription": "Ingen beskrivelse tilgjengelig.",
+  "product.selectSize": "Velg størrelse:",
+  "product.chooseSize": "Velg en størrelse.",
+  "product.sizeSoldOut": "utsolgt",
+  "product.sizeLeft": {
+    one: "{count} igjen",
+    other: "{count} igjen",
+  },
+  "gallery.label": "Produktbilder",
+  "gallery.show": "Vis bilde {n} av {count}",
+  "gallery.zoom": "Zoom inn på {alt}",
+  "product.loadError": "Kunne ikke laste produktet.",
+  "product.returnToList": "Tilbake til produktlisten",
+  "product.notFound": "Fant ikke produktet",
+  "product.notFoundBody": "Jakken kan være fjernet, eller lenken er feil.",
+  "product.browseAll": "Se alle produktene",
+  "product.alsoLike": "Du liker kanskje også",
+  "product.recentlyViewed": "Nylig sett",
+
+  // Quantity caps (limits.js)
+  "limit.stock": "Bare {max} igjen på lager.",
+  "limit.soldOut": "Denne varen er utsolgt.",
+  "limit.product": "Maks {max} per bestilling av denne varen.",
+  "limit.order": "En bestilling kan inneholde maks {max} varer.",
+
+  // Cart
+  "cart.heading": "Handlekurv",
+  "cart.srHeading": "Din handlekurv",
+  "cart.empty": "Handlekurven er tom.",
+  "cart.decrease": "Reduser antall",
+  "cart.increase": "Øk antall",
+  "cart.qtyFor": "Antall for {title}",
+  "cart.qtyUpdated": "Antall oppdatert, totalt {total}",
+  "cart.updated": "Handlekurven er oppdatert, totalt {total}",
+  "cart.saveForLater": "Lagre til senere",
+  "cart.shipTo": "Send til",
+  "cart.checkout": "Gå til kassen",
+  "cart.clear": "Tøm handlekurven",
+  "undo.action": "Angre",
+  "undo.removed": "Fjernet {title}.",
+  "undo.cleared": "Handlekurven er tømt.",
+  "undo.done": "Angret.",
+  "undo.stale": "Ingenting å angre; handlekurven er endret siden.",
+
+  // Cart changes found against the catalog (reconcile.js)
+  "change.heading": "Handlekurven din er endret",
+  "change.ok": "OK, skjønner",
+  "change.withSize": "{title} (størrelse {size})",
+  "change.removed": "{name} selges ikke lenger og er fjernet fra handlekurven.",
+  "change.soldout": "{name} er utsolgt og er fjernet fra handlekurven.",
+  "change.qtyLowered": "{name} ble redusert fra {from} til {to}.",
+  "change.qtyRemoved": "{name} ble fjernet fra handlekurven.",
+  "change.size": "{title} finnes ikke lenger i størrelse {size} og er fjernet fra handlekurven.",
+  "change.price": "{name} har endret pris fra {from} til {to}.",
+
+  // Totals (cart, checkout, order)
+  "summary.subtotal": "Delsum",
+  "summary.saved": "Du sparte",
+  "summary.promo": "Rabattkode",
+  "summary.promoCode": "Rabattkode ({code})",
+  "summary.shipping": "Frakt",
+  "summary.free": "Gratis",
+  "summary.freeShippingHint": "Handle for {amount} til for gratis frakt.",
+  "summary.estimatedTax": "Beregnet mva.",
+  "summary.tax": "Mva.",
+  "summary.taxRate": "Mva. ({rate} %)",
+  "summary.taxRegion": "Mva. ({rate} %, {region})",
+  "summary.total": "Totalt",
+  "promo.label": "Rabattkode",
+  "promo.apply": "Bruk",
+  "promo.unknown": "«{code}» er ikke en gyldig kode.",
+  "promo.expired": "{code} har utløpt.",
+  "promo.minSpend": "Handle for minst {amount} for å bruke {code}.",
+  "promo.applied": "{code} er brukt.",
+  "promo.removed": "Rabattkoden er fjernet.",
+
+  // Checkout
+  "checkout.heading": "Kasse",
+  "checkout.summary": "Ordresammendrag",
+  "checkout.billing": "Fakturadetaljer",
+  "checkout.name": "Fullt navn",
+  "checkout.email": "E-post",
+  "checkout.address": "Adresse",
+  "checkout.city": "Sted",
+  "checkout.zip": "Postnummer",
+  "checkout.country": "Land",
+  "checkout.payment": "Betaling",
+  "checkout.cardNumber": "Kortnummer",
+  "checkout.expiry": "Utløpsdato",
+  "checkout.cvc": "CVC",
+  "checkout.placeOrder": "Bestill",
+  "checkout.placing": "Sender bestillingen …",
+  "checkout.loadError": "Kunne ikke laste ordresammendraget.",
+  "checkout.fix": {
+    one: "Rett opp det markerte feltet.",
+    other: "Rett opp de {count} markerte feltene.",
+  },
+  "checkout.notLoaded": "Ordresammendraget er ikke lastet ennå.",
+  "checkout.reviewChanges": "Se gjennom endringene i handlekurven før du bestiller.",
+  "checkout.failed": "Vi kunne ikke fullføre bestillingen.",
+
+  // Checkout validation (validation.js)
+  "validation.name": "Skriv inn fullt navn.",
+  "validation.emailMissing": "Skriv inn e-postadressen din.",
+  "validation.email": "Skriv inn en gyldig e-postadresse, f.eks. navn@eksempel.no.",
+  "validation.address": "Skriv inn gateadressen din.",
+  "validation.city": "Skriv inn sted.",
+  "validation.zipMissing": "Skriv inn postnummer.",
+  "validation.zip": "Skriv inn et gyldig postnummer, f.eks. {example}.",
+  "validation.cardMissing": "Skriv inn kortnummeret.",
+  "validation.cardDigits": "Kortnummeret kan bare inneholde sifre.",
+  "validation.cardBrand": "Vi tar imot Visa, Mastercard, American Express og Discover.",
+  "validation.cardLength": "{brand}-numre har {lengths} sifre.",
+  "validation.cardInvalid": "Kortnummeret er ikke gyldig. Sjekk det en gang til.",
+  "validation.or": " eller ",
+  "validation.expiryFormat": "Skriv utløpsdatoen som MM/ÅÅ.",
+  "validation.expiryMonth": "Måneden må være 01–12.",
+  "validation.expired": "Kortet er utløpt.",
+  "validation.cvc": "Skriv inn den {length}-sifrede sikkerhetskoden.",
+
+  // Order confirmation + history
+  "order.notFound": "Fant ikke bestillingen",
+  "order.notFoundBody": "Vi har ingen oversikt over den bestillingen i denne nettleseren.",
+  "order.seeOrders": "Se bestillingene mine",
+  "order.thanks": "Tusen takk!",
+  "order.placedNotice": "Bestillingen er mottatt. En bekreftelse er på vei til {email}.",
+  "order.number": "Ordrenummer",
+  "order.placed": "Bestilt",
+  "order.status": "Status",
+  "order.status.pending": "venter",
+  "order.status.confirmed": "bekreftet",
+  "order.status.queued": "i kø",
+  "order.status.failed": "mislyktes",
+  "order.queuedNotice": "Du er frakoblet, så bestillingen er lagret og sendes så snart du er på nett igjen.",
+  "order.failedNotice": "Vi fikk ikke sendt denne bestillingen. Bestill på nytt eller ta kontakt med oss.",
+  "order.shipTo": "Sendes til",
+  "order.paidWith": "Betalt med",
+  "order.cardEnding": "Kort som slutter på {last4}",
+  "order.card": "Kort",
+  "order.print": "Skriv ut",
+  "order.continue": "Fortsett å handle",
+  "orders.heading": "Mine bestillinger",
+  "orders.empty": "Du har ikke bestilt noe ennå.",
+  "orders.start": "Begynn å handle",
+  "orders.order": "Bestilling",
+  "orders.date": "Dato",
+  "orders.items": "Varer",
+  "orders.total": "Totalt",
+
+  // Wishlist
+  "wishlist.heading": "Lagret til senere",
+  "wishlist.qty": "Antall {qty}",
+  "wishlist.gone": "Ikke lenger tilgjengelig",
+  "wishlist.moveToCart": "Flytt til handlekurven",
+  "wishlist.item": "Lagret vare",
+  "wishlist.empty": "Ingenting lagret ennå. Trykk på hjertet på en jakke for å lagre den her.",
+  "wishlist.browse": "Se jakkene",
+};
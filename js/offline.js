@@ -0,0 +1,40 @@
+/**
+ * offline.js
+ * Service worker registration (sw.js) and the connection state.
+ *
+ * - The service worker caches pages, scripts, product data and images, so the
+ *   shop opens and the cart can be edited without a network.
+ * - isOnline() / watchConnection() follow navigator.onLine; orders placed
+ *   while offline are queued by orders.js and sent on the next "online".
+ */
+
+import { config } from "./config.js";
+
+/** False only when the browser knows it is offline (true outside a browser) */
+export function isOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+/** Call `onChange(online)` now and whenever the connection comes or goes */
+export function watchConnection(onChange) {
+  onChange(isOnline());
+  window.addEventListener("online", () => onChange(true));
+  window.addEventListener("offline", () => onChange(false));
+}
+
+/** Register sw.js; the product API origin is passed along so its responses get cached */
+export async function registerServiceWorker() {
+  if (!config.offline.serviceWorker || !("serviceWorker" in navigator)) return null;
+  const url = new URL("sw.js", new URL("../", import.meta.url));
+  try {
+    url.searchParams.set("api", new URL(config.endpoint).origin);
+  } catch {
+    /* no absolute endpoint: nothing extra to cache */
+  }
+  try {
+    return await navigator.serviceWorker.register(url);
+  } catch (err) {
+    console.warn("Offline: service worker not registered", err);
+    return null;
+  }
+}
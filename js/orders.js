@@ -0,0 +1,229 @@
+/**
+ * orders.js
+ * Turning a cart into an order.
+ *
+ * - placeOrder() snapshots lines, prices and totals at the moment of purchase,
+ *   assigns an order id and posts it to config.orders.endpoint.
+ *   With no endpoint configured a local mock accepts the order instead.
+ * - Accepted orders are kept in a versioned history (see storage.js).
+ * - Offline (a NetworkError that is not a timeout, so nothing reached the
+ *   server) the order is kept as "queued" and sent by flushOrderQueue()
+ *   once the browser is back online. One tab at a time sends the queue
+ *   (a Web Lock, or a claim in storage where locks are missing).
+ * - Card details are never stored; only the last four digits.
+ */
+
+import { config } from "./config.js";
+import { createStore, readRaw, writeRaw, removeRaw } from "./storage.js";
+import { requestJson, NetworkError } from "./http.js";
+import { isOnline } from "./offline.js";
+import { emit } from "./events.js";
+
+// Only these form fields are kept with an order; payment fields never are
+const CONTACT_FIELDS = ["name", "email", "address", "city", "zip", "country"];
+
+const history = createStore({
+  key: "rainydays_orders",
+  version: 1,
+  validate(order) {
+    if (!order || typeof order.id !== "string") return "Missing order id";
+    if (!Array.isArray(order.lines)) return "Missing order lines";
+    if (!order.totals || typeof order.totals.total !== "number") return "Missing totals";
+    return null;
+  },
+  onDrop(dropped) {
+    console.warn("Orders: dropped invalid history entries", dropped);
+  },
+});
+
+// Orders waiting for a connection, oldest first (same shape as history entries)
+const queue = createStore({
+  key: "rainydays_order_queue",
+  version: 1,
+  validate(order) {
+    return order && typeof order.id === "string" && Array.isArray(order.lines) ? null : "Not an order";
+  },
+  onDrop(dropped) {
+    console.warn("Orders: dropped invalid queued orders", dropped);
+  },
+});
+
+/** Short, readable id: RD-YYMMDD-XXXXX */
+export function generateOrderId(now = new Date()) {
+  const date = now.toISOString().slice(2, 10).replace(/-/g, "");
+  const rand = Math.random().toString(36).slice(2, 7).toUpperCase().padEnd(5, "0");
+  return `RD-${date}-${rand}`;
+}
+
+/**
+ * Freeze everything the confirmation needs, so later price or catalog
+ * changes never alter a placed order.
+ * @param {{ lines: object[], totals: object, customer: object }} input
+ */
+export function createOrderSnapshot({ lines, totals, customer }, now = new Date()) {
+  const contact = Object.fromEntries(CONTACT_FIELDS.map((f) => [f, String(customer?.[f] ?? "").trim()]));
+  return {
+    id: generateOrderId(now),
+    createdAt: now.toISOString(),
+    status: "pending",
+    lines: lines.map(({ id, size, qty, title, imageUrl, price, originalPrice, lineTotal }) => ({
+      id, size, qty, title, imageUrl, price, originalPrice, lineTotal,
+    })),
+    totals: {
+      subtotal: totals.subtotal,
+      savings: totals.savings,
+      promoCode: totals.promo?.promo ? totals.promo.code : "",
+      discount: totals.discount,
+      shipping: totals.shipping,
+      tax: totals.tax,
+      taxRate: totals.region.taxRate,
+      region: totals.region.code,
+      total: totals.total,
+    },
+    customer: {
+      ...contact,
+      cardLast4: String(customer?.cardnumber || "").replace(/\D/g, "").slice(-4),
+    },
+  };
+}
+
+/** Pretend server: accept after a short delay, like a real round-trip */
+async function mockSubmit(order) {
+  if (!isOnline()) throw new NetworkError("Offline");
+  await new Promise((resolve) => setTimeout(resolve, 400));
+  return { id: order.id, status: "confirmed" };
+}
+
+/** POST the order; no automatic retries so an order is never sent twice */
+async function submit(order) {
+  const { endpoint } = config.orders;
+  if (!endpoint) return mockSubmit(order);
+  const json = await requestJson(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(order),
+    retries: 0,
+  });
+  return json?.data ?? json ?? {};
+}
+
+/** Nothing was sent: worth queueing (a timeout may have reached the server) */
+function isOffline(err) {
+  return err instanceof NetworkError && !err.timedOut;
+}
+
+/**
+ * Snapshot, submit and record an order. Resolves to the stored order, with
+ * status "queued" when it was kept to send later; other failures reject
+ * (typed errors from http.js) without touching history or the cart.
+ */
+export async function placeOrder(input) {
+  const order = createOrderSnapshot(input);
+  let reply;
+  try {
+    reply = await submit(order);
+  } catch (err) {
+    if (!isOffline(err)) throw err;
+    const queued = { ...order, status: "queued" };
+    queue.save([...queue.load().items, queued]);
+    history.save([queued, ...getOrders()]);
+    return queued;
+  }
+  const placed = { ...order, id: reply.id || order.id, status: reply.status || "confirmed" };
+  history.save([placed, ...getOrders()]);
+  return placed;
+}
+
+/** Replace the status of a stored order (the id stays, so links keep working) */
+function setStatus(id, status) {
+  history.save(getOrders().map((o) => (o.id === id ? { ...o, status } : o)));
+}
+
+let flushing = null;
+
+const FLUSH_LOCK = "rainydays-order-flush";
+const CLAIM_KEY = "rainydays_order_flush_claim";
+const CLAIM_TTL_MS = 15000; // a claim left by a tab that closed mid-flush lapses after this
+const TAB_ID = Math.random().toString(36).slice(2);
+
+/**
+ * Run `task` while no other tab is sending the queue. With Web Locks a second
+ * tab waits its turn; otherwise a tab that finds a live claim in storage skips
+ * (resolves to 0) and leaves the queue to the tab that holds it.
+ */
+async function withFlushLock(task) {
+  if (typeof navigator !== "undefined" && navigator.locks?.request) {
+    return navigator.locks.request(FLUSH_LOCK, task);
+  }
+  const claimed = () => {
+    try {
+      return JSON.parse(readRaw(CLAIM_KEY));
+    } catch {
+      return null;
+    }
+  };
+  const claim = claimed();
+  if (claim && claim.tab !== TAB_ID && claim.until > Date.now()) return 0;
+  const renew = () => writeRaw(CLAIM_KEY, JSON.stringify({ tab: TAB_ID, until: Date.now() + CLAIM_TTL_MS }));
+  renew();
+  const timer = setInterval(renew, CLAIM_TTL_MS / 3);
+  try {
+    return await task();
+  } finally {
+    clearInterval(timer);
+    if (claimed()?.tab === TAB_ID) removeRaw(CLAIM_KEY);
+  }
+}
+
+/** Send the queue, oldest first; see flushOrderQueue */
+async function sendQueued() {
+  let sent = 0;
+  let changed = false;
+  const tried = new Set();
+  for (;;) {
+    // Read the queue again before every send: another tab may have sent an order already
+    const order = queue.load().items.find((o) => !tried.has(o.id));
+    if (!order || !isOnline()) break;
+    tried.add(order.id);
+    try {
+      const reply = await submit({ ...order, status: "pending" });
+      setStatus(order.id, reply.status || "confirmed");
+      sent++;
+    } catch (err) {
+      if (isOffline(err)) break;
+      console.warn("Orders: queued order refused", order.id, err);
+      setStatus(order.id, "failed");
+    }
+    changed = true;
+    queue.save(queue.load().items.filter((o) => o.id !== order.id));
+  }
+  if (changed) emit("orders:updated", { sent });
+  return sent;
+}
+
+/**
+ * Send queued orders, oldest first. Stops at the first one that still cannot
+ * get through; an order the server refuses is marked "failed" and dropped.
+ * Emits "orders:updated" when any order changed. Resolves to the number sent
+ * by this tab.
+ */
+export function flushOrderQueue() {
+  flushing ??= withFlushLock(sendQueued).finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+/** Orders still waiting to be sent */
+export function getQueuedOrders() {
+  return queue.load().items;
+}
+
+/** Past orders, newest first */
+export function getOrders() {
+  return history.load().items;
+}
+
+export function getOrder(id) {
+  return getOrders().find((o) => o.id === id) || null;
+}
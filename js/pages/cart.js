@@ -0,0 +1,372 @@
+/**
+ * pages/cart.js
+ * Cart page: quantities, remove/clear with undo, save for later, region and
+ * promo code, and the totals breakdown.
+ *
+ * Expected DOM on cart.html:
+ *   - #cart-root (presence check)
+ *   - #cart-list
+ *   - #cart-subtotal, #cart-savings(-row), #cart-discount(-row, -label)
+ *   - #cart-shipping, #cart-shipping-hint, #cart-tax(-label), #cart-total
+ *   - #cart-region (select), #promo-form, #promo-code, #promo-msg
+ *   - #cart-clear (button)
+ */
+
+import {
+  getCart,
+  setCartQty,
+  removeFromCart,
+  clearCart,
+  lineKey,
+  getCartPrefs,
+  saveCartPrefs,
+  getCartChanges,
+  reconcileWithCatalog,
+  undoCart,
+  getUndoCommand,
+} from "../cart.js";
+import { saveForLater } from "../wishlist.js";
+import { buildLines, priceCart } from "../pricing.js";
+import { lineLimit } from "../limits.js";
+import { track } from "../analytics.js";
+import { loadCatalog } from "../catalog.js";
+import { t, formatPrice } from "../i18n.js";
+import { el, replace, morph, showToast, announce } from "../dom.js";
+import { debounce } from "../ui.js";
+import {
+  waitForRetry,
+  showStaleNotice,
+  showChangeReport,
+  limitMessage,
+  priceLabel,
+  renderBreakdown,
+  promoMessage,
+  fillRegionSelect,
+} from "../views.js";
+
+/** Mount the cart page */
+export async function mount({ signal }) {
+  const root = document.getElementById("cart-root");
+  if (!root) return;
+  const backLink = el(
+    "a",
+    { href: "products.html", class: "back-link" },
+    el("i", { class: "fa-solid fa-arrow-left", ariaHidden: "true" }),
+    " ",
+    el("span", { dataset: { i18n: "common.backToProducts" } }, t("common.backToProducts"))
+  );
+  root.prepend(backLink);
+  
+  const listEl = document.getElementById("cart-list");
+  const regionEl = document.getElementById("cart-region");
+  const promoForm = document.getElementById("promo-form");
+  const promoInput = document.getElementById("promo-code");
+  const promoMsg = document.getElementById("promo-msg");
+
+  let catalog = [];
+  let stale = false;
+  let byId = null; // quick access by id; set early when the refresh beats the first load
+  let ready = false; // the page below is built
+  for (;;) {
+    try {
+      ({ products: catalog, stale } = await loadCatalog({
+        onRefresh(fresh) {
+          if (signal.aborted) return;
+          byId = new Map(fresh.map((p) => [p.id, p]));
+          if (!ready) return; // the first render below uses it
+          showStaleNotice(listEl, false);
+          showChangeReport(listEl, reconcileWithCatalog(byId));
+          render();
+        },
+      })); // normalized shape
+      break;
+    } catch (err) {
+      if (!(await waitForRetry(listEl, t("list.loadError"), err, signal))) return;
+    }
+  }
+  if (signal.aborted) return;
+
+  if (byId) stale = false; // already refreshed
+  else byId = new Map(catalog.map((p) => [p.id, p]));
+  showStaleNotice(listEl, stale);
+
+  // Removed products, dropped sizes and price changes since the items were added
+  showChangeReport(listEl, reconcileWithCatalog(byId));
+
+  /** Merge cart lines with product data (see pricing.js) and add the line key */
+  function enrichLines() {
+    return buildLines(getCart(), byId).map((l) => ({ ...l, key: lineKey(l.id, l.size) }));
+  }
+
+  // Line key → why its quantity was capped, shown until the next change to that line
+  const limitNotes = new Map();
+
+  // Screen readers hear the new total once a change settles (typing "12" is one announcement)
+  let lastTotals = null;
+  const announceTotal = debounce((key) => announce(t(key, { total: formatPrice(lastTotals.total) })), 300);
+
+/** Render the entire cart view  */
+/** Build one cart-line element */
+function cartLineElement(l) {
+  const limit = lineLimit(byId.get(l.id), l.size);
+  const img = el("img", { src: l.imageUrl, alt: l.title, loading: "lazy" });
+
+  const title = el("h3", { class: "cart-line__title" }, l.title);
+  const meta = el(
+    "div",
+    { class: "cart-line__meta" },
+    l.size ? `${t("common.size", { size: l.size })} · ` : "",
+    priceLabel(l.price, l.originalPrice)
+  );
+
+  const qty = el(
+    "div",
+    { class: "cart-line__qty" },
+    el("button", { class: "ghost decr", type: "button", "aria-label": t("cart.decrease") }, "−"),
+    el("input", { type: "number", min: 1, max: limit.max, value: String(l.qty), "aria-label": t("cart.qtyFor", { title: l.title }) }),
+    el("button", { class: "ghost incr", type: "button", "aria-label": t("cart.increase"), disabled: l.qty >= limit.max }, "+")
+  );
+  const note = limitNotes.has(l.key)
+    ? el("p", { class: "cart-line__limit", role: "status" }, limitNotes.get(l.key))
+    : "";
+/*“Removed development debug logging to ensure production-ready code and clean console output.*/
+
+  const actions = el(
+    "div",
+    { class: "cart-line__actions" },
+    el("button", { class: "ghost save-later", type: "button" }, t("cart.saveForLater")),
+    el("button", { class: "ghost remove", type: "button" }, t("common.remove"))
+  );
+
+  const left = el("div", { class: "cart-line__left" }, title, meta, qty, note, actions);
+  const total = el("div", { class: "cart-line__total" }, formatPrice(l.lineTotal));
+
+  return el("div", { class: "cart-line", dataset: { id: l.id, size: l.size, key: l.key } }, img, left, total);
+}
+
+
+/**
+ * Render the cart view; returns the priceCart() totals. Lines that stay are
+ * patched in place (see morph in dom.js), so focus and the caret survive.
+ */
+function render() {
+const lines = enrichLines();
+const totals = priceCart(lines, getCartPrefs());
+renderBreakdown("cart", totals);
+lastTotals = totals;
+
+const focused = listEl.contains(document.activeElement) ? document.activeElement : null;
+const focusedIndex = [...listEl.children].indexOf(focused?.closest(".cart-line"));
+
+if (!lines.length) {
+replace(listEl, el("p", {}, t("cart.empty")));
+} else {
+const existing = new Map([...listEl.querySelectorAll(".cart-line")].map((n) => [n.dataset.key, n]));
+let cursor = listEl.firstChild;
+for (const l of lines) {
+  const fresh = cartLineElement(l);
+  const node = existing.has(l.key) ? morph(existing.get(l.key), fresh) : fresh;
+  if (node === cursor) cursor = cursor.nextSibling;
+  else listEl.insertBefore(node, cursor);
+}
+while (cursor) {
+  const next = cursor.nextSibling;
+  cursor.remove();
+  cursor = next;
+}
+}
+
+if (focused) restoreFocus(focused, focusedIndex);
+return totals;
+}
+
+  /**
+   * Focus was in the list but its control went away (line removed) or got
+   * disabled (+ at the cap): move it to the quantity of that line, the line
+   * now in its place, or the list itself once the cart is empty.
+   */
+  function restoreFocus(focused, index) {
+    const active = document.activeElement;
+    if (listEl.contains(active) && !active.disabled) return;
+    const lines = listEl.querySelectorAll(".cart-line");
+    const line = focused.isConnected ? focused.closest(".cart-line") : lines[Math.min(index, lines.length - 1)];
+    const input = line?.querySelector("input[type='number']");
+    if (input) {
+      input.focus();
+      return;
+    }
+    listEl.tabIndex = -1;
+    listEl.focus();
+  }
+
+  // Shipping region decides the tax rate
+  fillRegionSelect(regionEl, getCartPrefs().region);
+  regionEl?.addEventListener("change", () => {
+    saveCartPrefs({ region: regionEl.value });
+    render();
+    announceTotal("cart.updated");
+  });
+
+  // Promo code: unknown/expired codes are not kept; min-spend ones wait for a bigger cart
+  if (promoInput) promoInput.value = getCartPrefs().promoCode;
+  promoForm?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveCartPrefs({ promoCode: promoInput.value.trim().toUpperCase() });
+    const { promo } = render();
+    if (promo.error === "unknown" || promo.error === "expired") saveCartPrefs({ promoCode: "" });
+    const text = promoMessage(promo);
+    promoMsg.textContent = text || t("promo.removed");
+    promoMsg.hidden = false;
+  });
+
+  /** The cap for the cart line `wrap` (its product and size) */
+  const lineLimitOf = (wrap) => lineLimit(byId.get(wrap.dataset.id), wrap.dataset.size);
+
+  /** Save a line's new quantity; a capped one gets clamped and explained */
+  function updateQty(wrap, next) {
+    const key = wrap.dataset.key;
+    const result = setCartQty(key, next, lineLimitOf(wrap));
+    if (result?.reason) limitNotes.set(key, limitMessage(result.reason, result.max));
+    else limitNotes.delete(key);
+    render();
+  }
+
+  /** One remove_from_cart per line about to leave the cart */
+  function trackRemoval(lines) {
+    for (const l of lines) track("remove_from_cart", { id: String(l.id), size: l.size || "", qty: l.qty });
+  }
+
+  /** One add_to_cart per line an undo put back (or raised), for the units it added */
+  function trackRestored(before) {
+    const had = new Map(before.map((l) => [lineKey(l.id, l.size), l.qty]));
+    for (const l of getCart()) {
+      const qty = l.qty - (had.get(lineKey(l.id, l.size)) || 0);
+      const price = l.price ?? byId.get(l.id)?.price;
+      if (qty > 0 && typeof price === "number") track("add_to_cart", { id: String(l.id), size: l.size || "", qty, price });
+    }
+  }
+
+  // Quantity input (direct edit)
+  document.addEventListener("input", (e) => {
+    const input = e.target.closest(".cart-line input[type='number']");
+    // An emptied field is mid-edit: wait for a number instead of writing 1 back under the caret
+    if (!input || input.value === "") return;
+    const next = Math.max(1, parseInt(input.value, 10) || 1);
+    updateQty(input.closest(".cart-line"), next);
+    announceTotal("cart.qtyUpdated");
+  }, { signal });
+
+  // Left empty: show the saved quantity again
+  document.addEventListener("change", (e) => {
+    const input = e.target.closest(".cart-line input[type='number']");
+    if (input?.value === "") render();
+  }, { signal });
+
+  // Keyboard on the quantity controls: ↑/↓ and +/− step everywhere; on the
+  // buttons ←/→ step too and Home/End jump to 1 / the cap (in the input those move the caret)
+  document.addEventListener("keydown", (e) => {
+    const control = e.target.closest?.(".cart-line__qty > *");
+    if (!control || e.ctrlKey || e.metaKey || e.altKey) return;
+    const wrap = control.closest(".cart-line");
+    const qty = parseInt(wrap.querySelector("input[type='number']").value || "1", 10) || 1;
+    const onButton = control.tagName === "BUTTON";
+    const steps = { ArrowUp: 1, ArrowDown: -1, "+": 1, "-": -1, ...(onButton && { ArrowRight: 1, ArrowLeft: -1 }) };
+    let next;
+    if (e.key in steps) next = qty + steps[e.key];
+    else if (onButton && e.key === "Home") next = 1;
+    else if (onButton && e.key === "End") next = lineLimitOf(wrap).max;
+    else return;
+    e.preventDefault();
+    updateQty(wrap, Math.max(1, next));
+    announceTotal("cart.qtyUpdated");
+  }, { signal });
+
+  // + / − / remove / clear buttons
+  document.addEventListener("click", (e) => {
+    const minus = e.target.closest(".cart-line .decr");
+    const plus = e.target.closest(".cart-line .incr");
+    const remove = e.target.closest(".cart-line .remove");
+    const later = e.target.closest(".cart-line .save-later");
+    const clearBtn = e.target.closest("#cart-clear");
+
+    if (minus || plus) {
+      const wrap = e.target.closest(".cart-line");
+      const qtyInput = wrap.querySelector("input[type='number']");
+      const delta = minus ? -1 : 1;
+      const next = Math.max(1, parseInt(qtyInput.value || "1", 10) + delta);
+      updateQty(wrap, next);
+      announceTotal("cart.qtyUpdated");
+      return;
+    }
+
+    if (remove) {
+      const wrap = remove.closest(".cart-line");
+      const key = wrap?.dataset.key;
+      trackRemoval(getCart().filter((l) => lineKey(l.id, l.size) === key));
+      removeFromCart(key);
+      render();
+      offerUndo();
+      announceTotal("cart.updated");
+      return;
+    }
+
+    if (later) {
+      const key = later.closest(".cart-line").dataset.key;
+      trackRemoval(getCart().filter((l) => lineKey(l.id, l.size) === key));
+      saveForLater(key);
+      render();
+      announceTotal("cart.updated");
+      return;
+    }
+
+    if (clearBtn) {
+      trackRemoval(getCart());
+      clearCart();
+      render();
+      offerUndo();
+      announceTotal("cart.updated");
+      return;
+    }
+  }, { signal });
+
+  /** Revert the last remove/clear (see undoCart in cart.js) */
+  function undo() {
+    const before = getCart();
+    const undone = undoCart();
+    if (undone) trackRestored(before);
+    render();
+    if (undone) announceTotal("cart.updated");
+    showToast(undone ? t("undo.done") : t("undo.stale"));
+  }
+
+  /** Toast for the command that just ran, with an Undo button */
+  function offerUndo() {
+    const { type, title } = getUndoCommand();
+    const message = type === "clear" ? t("undo.cleared") : t("undo.removed", { title });
+    showToast(message, { action: t("undo.action"), onAction: undo });
+  }
+
+  // Ctrl+Z / Cmd+Z undoes too, except inside fields where it undoes typing
+  document.addEventListener("keydown", (e) => {
+    if (e.key.toLowerCase() !== "z" || !(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return;
+    if (e.target.closest("input, textarea, select, [contenteditable]")) return;
+    if (!getUndoCommand()) return;
+    e.preventDefault();
+    undo();
+  }, { signal });
+
+  // Another tab changed the cart: redraw with its data
+  window.addEventListener("cart:updated", (e) => {
+    if (e.detail?.external) render();
+  }, { signal });
+
+  // New language/currency: redraw everything that has text or prices
+  window.addEventListener("locale:changed", () => {
+    fillRegionSelect(regionEl, getCartPrefs().region);
+    showChangeReport(listEl, getCartChanges());
+    render();
+  }, { signal });
+
+  ready = true;
+  render();
+}
@@ -0,0 +1,141 @@
+/**
+ * pages/catalog.js
+ * Product views shared by the list and detail pages: cards, add-to-cart
+ * buttons and wishlist hearts.
+ */
+
+import { addToCart, getCartCount } from "../cart.js";
+import { isWishlisted, toggleWishlist } from "../wishlist.js";
+import { updateCartBadge } from "../ui.js";
+import { highlightParts } from "../search.js";
+import { productLimit } from "../limits.js";
+import { track } from "../analytics.js";
+import { t } from "../i18n.js";
+import { el } from "../dom.js";
+import { priceElement, limitMessage } from "../views.js";
+
+/** Text with the words matching `query` wrapped in <mark> */
+function highlighted(text, query) {
+  return highlightParts(text, query).map((part) =>
+    part.match ? el("mark", {}, part.text) : part.text
+  );
+}
+
+/** The heart saves one size; pressed again it forgets the product in every saved size */
+function wishLabel(title, saved) {
+  return t(saved ? "product.unsave" : "product.save", { title });
+}
+
+/** Heart button that saves/forgets a product (see the delegated click handler) */
+export function wishToggle(p) {
+  const saved = isWishlisted(p.id);
+  return el(
+    "button",
+    {
+      type: "button",
+      class: "wish-toggle",
+      dataset: { id: p.id, price: p.price, title: p.title },
+      "aria-pressed": String(saved),
+      "aria-label": wishLabel(p.title, saved),
+    },
+    el("i", { class: saved ? "fa-solid fa-heart" : "fa-regular fa-heart", ariaHidden: "true" })
+  );
+}
+
+/** Bring every heart on the page in line with the stored wishlist */
+export function syncWishToggles() {
+  for (const btn of document.querySelectorAll(".wish-toggle")) {
+    const saved = isWishlisted(btn.dataset.id);
+    btn.setAttribute("aria-pressed", String(saved));
+    btn.setAttribute("aria-label", wishLabel(btn.dataset.title, saved));
+    btn.querySelector("i").className = saved ? "fa-solid fa-heart" : "fa-regular fa-heart";
+  }
+}
+
+/** Text for an add-to-cart button */
+export function addLabel(p) {
+  if (!p.purchasable) return t("product.unavailable");
+  return p.inStock ? t("product.addToCart") : t("product.outOfStock");
+}
+
+/** Small template for a single product card (query highlights the title) */
+export function cardElement(p, query = "") {
+const img = el("img", { src: p.imageUrl, alt: p.title, loading: "lazy" });
+
+const mediaLink = el(
+  "a",
+  { href: `product.html?id=${p.id}`, class: "card__media" },
+  img
+);
+const titleLink = el(
+  "a",
+  { href: `product.html?id=${p.id}` },
+  highlighted(p.title, query)
+);
+const title = el("h3", { class: "card__title" }, titleLink);
+const price = priceElement(p);
+const tag = el("small", { class: "tag" }, t(`gender.${p.gender}`));
+const limit = productLimit(p);
+const btn = el(
+  "button",
+  {
+    class: p.inStock ? "primary add-to-cart" : "primary add-to-cart add-to-cart--soldout",
+    dataset: { id: p.id, price: p.price, title: p.title, max: limit.max, limit: limit.reason },
+    "aria-label": t(p.inStock ? "product.addLabel" : "product.outOfStockLabel", { title: p.title }),
+    disabled: !p.purchasable || !p.inStock,
+  },
+  addLabel(p)
+);
+
+
+return el(
+  "article",
+  { class: p.issues?.length ? "card card--flagged" : "card", dataset: { id: p.id } },
+  mediaLink,
+  wishToggle(p),
+  title,
+  price,
+  tag,
+  btn
+);
+}
+
+/**
+ * Add-to-cart buttons and heart toggles via event delegation (survives
+ * re-renders). Pages showing cards call this from mount(); the listeners
+ * go away with the page's signal.
+ */
+export function bindProductActions(signal) {
+  // Add-to-cart: one unit, no size (cards have no size picker)
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest(".add-to-cart");
+    if (!btn) return;
+
+    const { id, price, title, max, limit } = btn.dataset;
+    const result = addToCart(id, 1, "", {
+      price: Number(price),
+      title,
+      limit: { max: Number(max), reason: limit },
+    });
+    updateCartBadge(getCartCount());
+    if (result.added) track("add_to_cart", { id, size: "", qty: 1, price: Number(price) });
+
+    // Micro-feedback on the button; the cap message when nothing more fits
+    btn.disabled = true;
+    const prev = btn.textContent;
+    btn.textContent = result.added ? t("product.added") : limitMessage(result.reason, Number(max));
+    setTimeout(() => {
+      btn.textContent = prev;
+      btn.disabled = false;
+    }, result.added ? 700 : 2500);
+  }, { signal });
+
+  // Heart toggles via event delegation; on the detail page the chosen size is saved too
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest(".wish-toggle");
+    if (!btn) return;
+    const { id, price, title } = btn.dataset;
+    const size = btn.closest(".product-detail")?.querySelector("input[name='size']:checked")?.value || "";
+    toggleWishlist(id, size, { price: Number(price), title });
+  }, { signal });
+}
@@ -0,0 +1,227 @@
+/**
+ * pages/checkout.js
+ * Checkout page: order summary, billing form validation and order placement.
+ *
+ * Expected DOM on checkout.html:
+ *   - #checkout-root (presence check)
+ *   - #checkout-list
+ *   - #co-subtotal, #co-savings(-row), #co-discount(-row, -label)
+ *   - #co-shipping, #co-tax(-label), #co-total
+ *   - #co-region (country select inside the form)
+ *   - #checkout-form
+ *   - #checkout-error
+ */
+
+import {
+  getCart,
+  clearCart,
+  getCartPrefs,
+  saveCartPrefs,
+  getCartChanges,
+  reconcileWithCatalog,
+} from "../cart.js";
+import { buildLines, priceCart } from "../pricing.js";
+import { placeOrder } from "../orders.js";
+import { track } from "../analytics.js";
+import { validateCheckout, detectCardBrand } from "../validation.js";
+import { loadCatalog } from "../catalog.js";
+import { t, formatPrice } from "../i18n.js";
+import { el, replace, setFieldError } from "../dom.js";
+import {
+  describeError,
+  errorView,
+  showStaleNotice,
+  showChangeReport,
+  priceLabel,
+  renderBreakdown,
+  fillRegionSelect,
+} from "../views.js";
+
+/** Mount the checkout page */
+export function mount({ signal, navigate }) {
+  const root = document.getElementById("checkout-root");
+  if (!root) return;
+  const backLink = el(
+    "a",
+    { href: "products.html", class: "back-link" },
+    el("i", { class: "fa-solid fa-arrow-left", ariaHidden: "true" }),
+    " ",
+    el("span", { dataset: { i18n: "common.backToProducts" } }, t("common.backToProducts"))
+  );
+  root.prepend(backLink);
+
+  const listEl = document.getElementById("checkout-list");
+  const regionEl = document.getElementById("co-region");
+  const form = document.getElementById("checkout-form");
+  const errEl = document.getElementById("checkout-error");
+
+  const submitBtn = form?.querySelector("button[type='submit']");
+  const items = getCart();
+  fillRegionSelect(regionEl, getCartPrefs().region);
+  if (!items.length) {
+    replace(listEl, el("p", {}, t("cart.empty")));
+    renderBreakdown("co", priceCart([], getCartPrefs()));
+    if (submitBtn) submitBtn.disabled = true;
+    return;
+  }
+
+  // Orders wait until every cart change has been acknowledged
+  function updateSubmitState() {
+    if (submitBtn) submitBtn.disabled = !summary?.lines.length || getCartChanges().length > 0;
+  }
+  window.addEventListener("cart:changes", updateSubmitState, { signal });
+
+  // Build the summary from the catalog (cached; refreshed in the background)
+  let lastCatalog = [];
+  let summary = null; // { lines, totals } as last shown; this is what gets ordered
+  function renderSummary(catalog) {
+    lastCatalog = catalog;
+    const byId = new Map(catalog.map((p) => [p.id, p]));
+    showChangeReport(listEl, reconcileWithCatalog(byId));
+    const lines = buildLines(getCart(), byId);
+
+   const frag = document.createDocumentFragment();
+for (const l of lines) {
+const row = el(
+"div",
+{ class: "cart-line", dataset: { id: l.id } },
+el("img", { src: l.imageUrl, alt: l.title }),
+el(
+"div",
+{},
+el("h3", { class: "cart-line__title" }, l.title),
+el(
+"div",
+{ class: "cart-line__meta" },
+l.size ? `${t("common.size", { size: l.size })} · ` : "",
+priceLabel(l.price, l.originalPrice),
+` x ${l.qty}`
+)
+),
+el("div", { class: "cart-line__total" }, formatPrice(l.lineTotal))
+);
+frag.appendChild(row);
+}
+if (lines.length) listEl.replaceChildren(frag);
+else replace(listEl, el("p", {}, t("cart.empty")));
+
+
+const totals = priceCart(lines, getCartPrefs());
+renderBreakdown("co", totals);
+// The first summary shown is the start of checkout; refreshes are not
+if (!summary) track("checkout_started", { items: lines.reduce((n, l) => n + l.qty, 0), total: totals.total });
+summary = { lines, totals };
+updateSubmitState();
+}
+
+  // Country in the billing form drives the tax line
+  regionEl?.addEventListener("change", () => {
+    saveCartPrefs({ region: regionEl.value });
+    if (lastCatalog.length) renderSummary(lastCatalog);
+  });
+
+  // New language/currency: summary, country names and any shown field errors
+  window.addEventListener("locale:changed", () => {
+    fillRegionSelect(regionEl, getCartPrefs().region);
+    if (lastCatalog.length) renderSummary(lastCatalog);
+    if (!form) return;
+    const errors = validateCheckout(Object.fromEntries(new FormData(form)));
+    for (const input of form.querySelectorAll("[aria-invalid='true']")) setFieldError(form, input.name, errors[input.name]);
+  }, { signal });
+
+  function loadSummary() {
+    replace(listEl, el("span", { class: "spinner" }, t("common.loading")));
+    loadCatalog({
+      onRefresh(fresh) {
+        if (signal.aborted) return;
+        showStaleNotice(listEl, false);
+        renderSummary(fresh);
+      },
+    })
+      .then(({ products, stale }) => {
+        if (signal.aborted) return;
+        showStaleNotice(listEl, stale);
+        renderSummary(products);
+      })
+      .catch((err) => {
+        replace(listEl, errorView(t("checkout.loadError"), err, loadSummary));
+      });
+  }
+  loadSummary();
+
+  // Validate (validation.js) with inline errors, then place the order
+  if (form) {
+    const brandEl = document.getElementById("card-brand");
+    const cvcInput = form.elements.CardCvc;
+
+    // Show the card brand as it is typed; Amex takes a 4-digit CVC
+    form.elements.cardnumber?.addEventListener("input", (e) => {
+      const brand = detectCardBrand(e.target.value);
+      if (brandEl) brandEl.textContent = brand ? brand.label : "";
+      if (cvcInput) cvcInput.placeholder = brand?.cvc === 4 ? "1234" : "123";
+    });
+
+    // Once a field has been flagged, re-check it when the shopper leaves it
+    form.addEventListener("focusout", (e) => {
+      const input = e.target;
+      if (input.getAttribute?.("aria-invalid") !== "true") return;
+      const errors = validateCheckout(Object.fromEntries(new FormData(form)));
+      setFieldError(form, input.name, errors[input.name]);
+    });
+
+    /** Show the error summary; focus goes to `field` when it can take it, else to the summary */
+    function showFormError(message, field) {
+      errEl.textContent = message;
+      errEl.hidden = false;
+      if (typeof field?.focus === "function") field.focus();
+      else errEl.focus();
+    }
+
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      errEl.hidden = true;
+
+      const errors = validateCheckout(Object.fromEntries(new FormData(form)));
+      const invalid = Object.keys(errors);
+      for (const input of form.elements) {
+        if (input.name) setFieldError(form, input.name, errors[input.name]);
+      }
+      if (invalid.length) {
+        track("checkout_error", { reason: "validation", fields: invalid });
+        showFormError(t("checkout.fix", { count: invalid.length }), form.elements[invalid[0]]);
+        return;
+      }
+      if (!summary?.lines.length) {
+        track("checkout_error", { reason: "notLoaded" });
+        showFormError(t("checkout.notLoaded"));
+        return;
+      }
+      if (getCartChanges().length) {
+        track("checkout_error", { reason: "reviewChanges" });
+        showFormError(t("checkout.reviewChanges"));
+        return;
+      }
+
+      submitBtn.disabled = true;
+      const prev = submitBtn.textContent;
+      submitBtn.textContent = t("checkout.placing");
+      try {
+        const customer = Object.fromEntries(new FormData(form));
+        const order = await placeOrder({ ...summary, customer });
+        clearCart(); // only once the order is safely recorded
+        track("order_placed", {
+          id: order.id,
+          items: order.lines.reduce((n, l) => n + l.qty, 0),
+          total: order.totals.total,
+          status: order.status,
+        });
+        navigate(`order.html?id=${encodeURIComponent(order.id)}`);
+      } catch (err) {
+        track("checkout_error", { reason: err.name || "Error", message: err.message });
+        submitBtn.disabled = false;
+        submitBtn.textContent = prev;
+        showFormError(`${t("checkout.failed")} ${describeError(err)}`);
+      }
+    });
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * pages/detail.js
+ * Product page: one product with an image gallery, a size picker that shows
+ * what is left in each size, add to cart and save for later.
+ * The chosen size is kept in the URL (product.html?id=…&size=M) for sharing.
+ *
+ * Below it: "You may also like" (recommend.js) and "Recently viewed" (recent.js),
+ * both made of the list page's cards so add to cart works there too.
+ *
+ * Expected DOM on product.html:
+ *   - #product-root; the product id comes from ?id=
+ *   - #product-strips (recommendation strips) [optional]
+ */
+
+import { addToCart, getCartCount } from "../cart.js";
+import { updateCartBadge } from "../ui.js";
+import { lineLimit, unitsLeft } from "../limits.js";
+import { getProduct } from "../catalog.js";
+import { NotFoundError } from "../http.js";
+import { recommend } from "../recommend.js";
+import { recordView, getRecentlyViewed } from "../recent.js";
+import { track } from "../analytics.js";
+import { t } from "../i18n.js";
+import { el, replace } from "../dom.js";
+import { errorView, showStaleNotice, priceElement, limitMessage } from "../views.js";
+import { wishToggle, addLabel, cardElement, bindProductActions } from "./catalog.js";
+
+const STRIP_SIZE = 4;
+const LOW_STOCK = 5; // sizes with this many or fewer left say so
+
+/**
+ * Main image plus a row of thumbnails (only when there is more than one image).
+ * Arrow keys, Home and End move between thumbnails (one tab stop for the row).
+ * The main image zooms on click and follows the pointer; Escape zooms out.
+ */
+function galleryElement(p) {
+  const images = p.images.length ? p.images : [{ url: p.imageUrl, alt: p.imageAlt || p.title }];
+  const img = el("img", { src: images[0].url, alt: images[0].alt, loading: "eager" });
+  const zoom = el(
+    "button",
+    { type: "button", class: "gallery__zoom", "aria-pressed": "false", "aria-label": t("gallery.zoom", { alt: images[0].alt }) },
+    img
+  );
+
+  function setZoom(on) {
+    zoom.classList.toggle("is-zoomed", on);
+    zoom.setAttribute("aria-pressed", String(on));
+    if (!on) img.style.transformOrigin = "";
+  }
+  function follow(e) {
+    const box = zoom.getBoundingClientRect();
+    img.style.transformOrigin = `${((e.clientX - box.left) / box.width) * 100}% ${((e.clientY - box.top) / box.height) * 100}%`;
+  }
+  zoom.addEventListener("click", (e) => {
+    const on = !zoom.classList.contains("is-zoomed");
+    setZoom(on);
+    // Keyboard clicks have no pointer position; zoom into the centre
+    if (on && e.detail) follow(e);
+  });
+  zoom.addEventListener("pointermove", (e) => {
+    if (zoom.classList.contains("is-zoomed")) follow(e);
+  });
+  zoom.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") setZoom(false);
+  });
+
+  const media = el("div", { class: "product-detail__media gallery" }, zoom);
+  if (images.length < 2) return media;
+
+  const thumbs = images.map((image, i) =>
+    el(
+      "button",
+      {
+        type: "button",
+        class: "gallery__thumb",
+        tabIndex: i === 0 ? 0 : -1,
+        "aria-pressed": String(i === 0),
+        "aria-label": t("gallery.show", { n: i + 1, count: images.length }),
+      },
+      el("img", { src: image.url, alt: "", loading: "lazy" })
+    )
+  );
+  function show(i) {
+    img.src = images[i].url;
+    img.alt = images[i].alt;
+    zoom.setAttribute("aria-label", t("gallery.zoom", { alt: images[i].alt }));
+    setZoom(false);
+    thumbs.forEach((thumb, j) => {
+      thumb.tabIndex = j === i ? 0 : -1;
+      thumb.setAttribute("aria-pressed", String(j === i));
+    });
+  }
+  thumbs.forEach((thumb, i) => thumb.addEventListener("click", () => show(i)));
+
+  const row = el("div", { class: "gallery__thumbs", role: "group", "aria-label": t("gallery.label") }, thumbs);
+  row.addEventListener("keydown", (e) => {
+    const i = thumbs.indexOf(e.target.closest(".gallery__thumb"));
+    const moves = { ArrowRight: i + 1, ArrowDown: i + 1, ArrowLeft: i - 1, ArrowUp: i - 1, Home: 0, End: thumbs.length - 1 };
+    if (i < 0 || !(e.key in moves)) return;
+    e.preventDefault();
+    const next = (moves[e.key] + thumbs.length) % thumbs.length;
+    show(next);
+    thumbs[next].focus();
+  });
+  media.append(row);
+  return media;
+}
+
+/** One size radio; sold-out sizes are disabled, low ones say how many are left */
+function sizeOption(p, size, chosen) {
+  const left = unitsLeft(p, size);
+  const soldOut = left === 0;
+  let note = "";
+  if (soldOut) note = t("product.sizeSoldOut");
+  else if (left !== null && left <= LOW_STOCK) note = t("product.sizeLeft", { count: left });
+  return el(
+    "label",
+    { class: soldOut ? "size-option size-option--soldout" : "size-option" },
+    el("input", { type: "radio", name: "size", value: size, disabled: soldOut, checked: size === chosen && !soldOut }),
+    size,
+    note ? el("span", { class: "size-option__note" }, note) : ""
+  );
+}
+
+/** Keep ?size= in the address bar in step with the picker (no new history entry) */
+function syncSizeToUrl(size) {
+  const url = new URL(location.href);
+  url.searchParams.set("size", size);
+  history.replaceState(history.state, "", url);
+}
+
+/** A headed row of product cards; nothing when there are no products */
+function productStrip(id, heading, products) {
+  if (!products.length) return [];
+  return el(
+    "section",
+    { class: "product-strip", "aria-labelledby": id },
+    el("h2", { id }, heading),
+    el("div", { class: "grid product-strip__grid" }, products.map((p) => cardElement(p)))
+  );
+}
+
+/** Recommendations for `product`, then the other products viewed lately */
+function renderStrips(container, product, products) {
+  if (!container) return;
+  const byId = new Map(products.map((p) => [String(p.id), p]));
+  const recent = getRecentlyViewed()
+    .filter((id) => id !== String(product.id))
+    .map((id) => byId.get(id))
+    .filter(Boolean)
+    .slice(0, STRIP_SIZE);
+  replace(
+    container,
+    productStrip("also-like-heading", t("product.alsoLike"), recommend(product, products, { limit: STRIP_SIZE })),
+    productStrip("recent-heading", t("product.recentlyViewed"), recent)
+  );
+}
+
+/** Mount the product page; the product id comes from ?id= */
+export function mount({ signal }) {
+  const root = document.getElementById("product-root");
+  if (!root) return;
+  const strips = document.getElementById("product-strips");
+  bindProductActions(signal);
+
+  // Step 1: Check for ID in URL
+  const params = new URLSearchParams(location.search);
+  const id = params.get("id");
+
+  if (!id) {
+    replace(
+      root,
+      el("p", { class: "error", role: "alert" }, `${t("product.noId")} `, el("a", { href: "products.html" }, t("product.goBack")))
+    );
+    return;
+  }
+
+  let viewed = false; // recordView + product_viewed once per visit, not per re-render
+
+  async function load() {
+    // Step 2: Loading state
+    root.textContent = t("product.loading");
+
+    try {
+      // Step 3: Look the product up in the shared catalog
+      const { product: p, products, stale } = await getProduct(id);
+      if (signal.aborted) return;
+      if (!viewed) {
+        viewed = true;
+        recordView(String(p.id));
+        track("product_viewed", { id: String(p.id), title: p.title, price: p.price });
+      }
+
+      const backLink = el(
+        "a", { href: "products.html" },
+        `← ${t("common.backToProducts")}`
+      );
+      const media = galleryElement(p);
+
+      const title = el("h1", {class: "product-detail__title" }, p.title);
+      const price = priceElement(p);
+      const desc = el(
+        "p",
+        { class: "product-detail__description" },
+        p.description || t("product.noDescription")
+      );
+
+  // Size picker. one radio per size, preselected from ?size= when that size is available
+      const wanted = (new URLSearchParams(location.search).get("size") || "").toUpperCase();
+      const sizeFieldset = el(
+        "fieldset",
+        { class: "size-picker" },
+        el("legend", {}, t("product.selectSize")),
+        ...p.sizes.map((sz) => sizeOption(p, sz, wanted))
+      );
+      sizeFieldset.addEventListener("change", (e) => syncSizeToUrl(e.target.value));
+
+      const addBtn = el(
+      "button",
+      {
+        class: p.inStock ? "primary" : "primary add-to-cart--soldout",
+        id: "detail-add",
+        disabled: !p.purchasable || !p.inStock,
+      },
+      addLabel(p)
+    );
+      const msg = el("p", { id: "detail-msg", role: "alert", hidden: true });
+
+
+      const body = el(
+        "div",
+        { class: "product-detail__body" },
+        title,
+        price,
+        desc,
+        sizeFieldset,
+        el("div", { class: "product-detail__actions" }, addBtn, wishToggle(p)),
+        msg,
+      );
+
+      const view = el(
+        "article",
+        { class: "product-detail", dataset: { id: p.id } },
+        backLink,
+        media,
+        body,
+      );
+      replace(root, view);
+      showStaleNotice(view, stale);
+      renderStrips(strips, p, products);
+
+      addBtn.addEventListener("click", () => {
+        const chosen = root.querySelector("input[name='size']:checked")?.value;
+        if (!chosen) {
+          msg.textContent = t("product.chooseSize");
+          msg.hidden = false;
+          return;
+        }
+
+        msg.hidden = true;
+        // One size can run out before the product-wide caps are reached
+        const result = addToCart(p.id, 1, chosen, { price: p.price, title: p.title, limit: lineLimit(p, chosen) });
+        updateCartBadge(getCartCount());
+        if (!result.added) {
+          msg.textContent = limitMessage(result.reason, result.max);
+          msg.hidden = false;
+          return;
+        }
+        track("add_to_cart", { id: String(p.id), size: chosen, qty: 1, price: p.price });
+
+        addBtn.disabled = true;
+        const prev = addBtn.textContent;
+        addBtn.textContent = t("product.added");
+        setTimeout(() => {
+          addBtn.textContent = prev;
+          addBtn.disabled = false;
+        }, 800);
+      });
+
+
+    } catch (err) {
+      strips?.replaceChildren();
+      // Step 5: A missing product gets its own view; other failures can be retried
+      if (err instanceof NotFoundError) {
+        replace(
+          root,
+          el(
+            "section",
+            { class: "not-found" },
+            el("h1", {}, t("product.notFound")),
+            el("p", {}, t("product.notFoundBody")),
+            el("a", { class: "primary", href: "products.html" }, t("product.browseAll"))
+          )
+        );
+        return;
+      }
+      replace(
+        root,
+        errorView(t("product.loadError"), err, load),
+        el("p", {}, el("a", { href: "products.html" }, t("product.returnToList")))
+      );
+    }
+  }
+
+  load();
+  // New language/currency: render again (the visit was already counted)
+  window.addEventListener("locale:changed", load, { signal });
+}
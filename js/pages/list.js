@@ -0,0 +1,210 @@
+/**
+ * pages/list.js
+ * Products page: cards plus filters, with the filter state kept in the URL.
+ * Cards go through grid.js: infinite scroll with a bounded number of cards,
+ * and filter changes patch the cards instead of rebuilding them all.
+ * On a cold cache the catalog is fetched a page at a time as the grid
+ * reaches its end (see loadCatalogPaged in catalog.js).
+ *
+ * Expected DOM on products.html:
+ *   - #list (products container)
+ *   - #filter-gender (select) [optional]
+ *   - #filter-size (select)   [optional]
+ *   - #filter-search (input)  [optional]
+ *   - #filter-sort (select)   [optional]
+ *   - #filter-min / #filter-max (number inputs) [optional]
+ *   - #filter-onsale (checkbox) [optional]
+ *   - #apply-filters (button) [optional]
+ *   - #clear-filters (button) [optional]
+ */
+
+import { debounce } from "../ui.js";
+import { loadCatalogPaged } from "../catalog.js";
+import {
+  DEFAULT_FILTERS,
+  applyFilters,
+  hasActiveFilters,
+  normalizeFilters,
+  parseFilters,
+  serializeFilters,
+} from "../filters.js";
+import { config } from "../config.js";
+import { createCardGrid } from "../grid.js";
+import { track } from "../analytics.js";
+import { t } from "../i18n.js";
+import { el, replace } from "../dom.js";
+import { errorView, showStaleNotice } from "../views.js";
+import { cardElement, bindProductActions } from "./catalog.js";
+
+/** Read current filters from the controls (safe if the elements are missing) */
+function getFilters() {
+  return normalizeFilters({
+    gender: document.getElementById("filter-gender")?.value,
+    size: document.getElementById("filter-size")?.value,
+    q: document.getElementById("filter-search")?.value,
+    sort: document.getElementById("filter-sort")?.value,
+    min: document.getElementById("filter-min")?.value,
+    max: document.getElementById("filter-max")?.value,
+    onsale: document.getElementById("filter-onsale")?.checked,
+  });
+}
+
+/** Put a filter state back into the controls (initial load, back/forward) */
+function setFilterControls(state) {
+  const set = (id, value) => {
+    const input = document.getElementById(id);
+    if (input) input.value = value;
+  };
+  set("filter-gender", state.gender);
+  set("filter-size", state.size);
+  set("filter-search", state.q);
+  set("filter-sort", state.sort);
+  set("filter-min", state.min ?? "");
+  set("filter-max", state.max ?? "");
+  const sale = document.getElementById("filter-onsale");
+  if (sale) sale.checked = state.onsale;
+}
+
+/** Mirror filter state into the URL; push for deliberate changes, replace while typing */
+function syncFiltersToUrl(state, { push = false } = {}) {
+  const next = `${location.pathname}${serializeFilters(state, location.search)}${location.hash}`;
+  if (next === `${location.pathname}${location.search}${location.hash}`) return;
+  history[push ? "pushState" : "replaceState"](null, "", next);
+}
+
+/**
+ * Wire up filter controls; state lives in the URL so views can be shared.
+ * show(state, opts) puts the results on screen and resolves to them.
+ */
+function bindListControls(grid, show, signal) {
+  const update = (opts) => {
+    const state = getFilters();
+    syncFiltersToUrl(state, opts);
+    show(state).then((results) => {
+      if (results) track("filter_applied", { count: results.length, filters: state });
+    });
+  };
+
+  // Apply button
+  document.getElementById("apply-filters")?.addEventListener("click", () => update({ push: true }), { signal });
+
+  // Clear button
+  document.getElementById("clear-filters")?.addEventListener("click", () => {
+    setFilterControls(DEFAULT_FILTERS);
+    update({ push: true });
+  }, { signal });
+  // Live search as you type, once typing pauses
+  document.getElementById("filter-search")?.addEventListener("input", debounce(() => update(), 250), { signal });
+  // Selects and the sale toggle apply straight away
+  for (const id of ["filter-size", "filter-gender", "filter-sort", "filter-onsale"]) {
+    document.getElementById(id)?.addEventListener("change", () => update({ push: true }), { signal });
+  }
+  // Price range: apply when the shopper leaves the field or presses Enter
+  for (const id of ["filter-min", "filter-max"]) {
+    document.getElementById(id)?.addEventListener("change", () => update({ push: true }), { signal });
+  }
+
+  // Back/forward: the URL is the source of truth
+  window.addEventListener("popstate", () => {
+    const state = parseFilters(location.search);
+    setFilterControls(state);
+    show(state);
+  }, { signal });
+
+  // New language/currency: same results, new strings and prices
+  window.addEventListener("locale:changed", () => grid.redraw(), { signal });
+}
+
+/** Mount the products page */
+export function mount({ signal }) {
+  const list = document.getElementById("list");
+  if (!list) return;
+  bindProductActions(signal);
+
+  let catalog = null; // loadCatalogPaged(): grows page by page until complete()
+  let fetchingPage = false;
+
+  const grid = createCardGrid(list, {
+    renderCard: cardElement,
+    renderEmpty: () => el("p", { class: "notice", role: "status", ariaLive: "polite" }, t("list.empty")),
+    moreLabel: () => t("list.more"),
+    pageSize: config.list.pageSize,
+    maxCards: config.list.maxCards,
+    infinite: config.list.infiniteScroll,
+    hasMore: () => Boolean(catalog && !catalog.complete()),
+    onEnd: fetchNextPage,
+  });
+  signal.addEventListener("abort", () => grid.destroy());
+  // Notices go above #message, clear of the grid's scroll sentinel
+  const noticeAnchor = document.getElementById("message") || list;
+
+  /**
+   * Show the results for a filter state; resolves to them (null once the page
+   * is gone). Everything in catalog order can show while pages still arrive;
+   * a filter, search or sort needs the whole catalog first.
+   */
+  function show(state, opts) {
+    if (hasActiveFilters(state) && !catalog.complete()) {
+      return catalog.rest().then(
+        () => show(state, opts),
+        (err) => {
+          if (!signal.aborted) replace(list, errorView(t("list.loadError"), err, () => show(getFilters(), opts)));
+          return null;
+        }
+      );
+    }
+    if (signal.aborted) return Promise.resolve(null);
+    const results = applyFilters(catalog.products, state);
+    grid.update(results, state.q, opts);
+    return Promise.resolve(results);
+  }
+
+  /** The grid reached the last product fetched so far: fetch the next page */
+  function fetchNextPage() {
+    if (fetchingPage) return;
+    fetchingPage = true;
+    catalog
+      .more()
+      .then(() => show(getFilters(), { reset: false }))
+      .then((results) => {
+        if (results) grid.more();
+      })
+      .catch((err) => console.warn("List: could not fetch the next page", err))
+      .finally(() => {
+        fetchingPage = false;
+      });
+  }
+
+  let bound = false;
+
+  async function load() {
+  const spinner = el("span", { class: "spinner", ariaLive: "polite" }, t("common.loading"));
+replace(list, spinner);
+
+
+try {
+catalog = await loadCatalogPaged({
+  onRefresh(fresh) {
+    if (signal.aborted) return;
+    showStaleNotice(noticeAnchor, false);
+    catalog.products.splice(0, catalog.products.length, ...fresh);
+    show(getFilters(), { reset: false });
+  },
+});
+if (signal.aborted) return;
+showStaleNotice(noticeAnchor, catalog.stale);
+const initial = parseFilters(location.search);
+setFilterControls(initial);
+if (hasActiveFilters(initial)) await catalog.rest();
+const results = await show(initial);
+if (!results) return;
+track("product_list_viewed", { count: results.length, total: catalog.total, filters: initial });
+if (!bound) bindListControls(grid, show, signal);
+bound = true;
+} catch (err) {
+replace(list, errorView(t("list.loadError"), err, load));
+}
+  }
+
+  load();
+}
@@ -0,0 +1,118 @@
+/**
+ * pages/order.js
+ * Order confirmation: a stored order as it was placed.
+ *
+ * Expected DOM on order.html:
+ *   - #order-root (presence check); order id comes from ?id=
+ */
+
+import { getOrder } from "../orders.js";
+import { t, formatPrice, formatDate, regionName } from "../i18n.js";
+import { el, replace } from "../dom.js";
+import { priceLabel } from "../views.js";
+
+/** Lines + totals of a stored order (prices as they were when it was placed) */
+function orderSummaryElement(order) {
+  const totals = order.totals;
+  const row = (label, value, cls) => el("div", { class: cls ? `cart__row ${cls}` : "cart__row" }, el("span", {}, label), el("span", {}, value));
+
+  const lines = order.lines.map((l) =>
+    el(
+      "div",
+      { class: "cart-line", dataset: { id: l.id } },
+      el("img", { src: l.imageUrl, alt: l.title }),
+      el(
+        "div",
+        {},
+        el("h3", { class: "cart-line__title" }, l.title),
+        el(
+          "div",
+          { class: "cart-line__meta" },
+          l.size ? `${t("common.size", { size: l.size })} · ` : "",
+          priceLabel(l.price, l.originalPrice),
+          ` x ${l.qty}`
+        )
+      ),
+      el("div", { class: "cart-line__total" }, formatPrice(l.lineTotal))
+    )
+  );
+
+  return el(
+    "div",
+    { class: "order__summary" },
+    el("div", { class: "order__lines" }, lines),
+    el(
+      "div",
+      { class: "cart__summary order__totals" },
+      row(t("summary.subtotal"), formatPrice(totals.subtotal)),
+      totals.savings > 0 ? row(t("summary.saved"), formatPrice(totals.savings), "cart__row--savings") : [],
+      totals.discount > 0
+        ? row(t("summary.promoCode", { code: totals.promoCode }), `−${formatPrice(totals.discount)}`, "cart__row--discount")
+        : [],
+      row(t("summary.shipping"), totals.shipping ? formatPrice(totals.shipping) : t("summary.free")),
+      row(
+        totals.taxRate ? t("summary.taxRate", { rate: Math.round(totals.taxRate * 100) }) : t("summary.tax"),
+        formatPrice(totals.tax)
+      ),
+      row(t("summary.total"), formatPrice(totals.total), "cart__row--total")
+    )
+  );
+}
+
+/** Queued orders wait for a connection; failed ones never reached us */
+function notice(order) {
+  if (order.status === "queued") return t("order.queuedNotice");
+  if (order.status === "failed") return t("order.failedNotice");
+  return t("order.placedNotice", { email: order.customer.email });
+}
+
+/** Mount the order confirmation page; the order id comes from ?id= */
+export function mount({ signal }) {
+  const root = document.getElementById("order-root");
+  if (!root) return;
+
+  function render() {
+    const id = new URLSearchParams(location.search).get("id");
+    const order = id ? getOrder(id) : null;
+    if (!order) {
+      replace(
+        root,
+        el("h1", {}, t("order.notFound")),
+        el("p", {}, t("order.notFoundBody")),
+        el("a", { class: "primary", href: "orders.html" }, t("order.seeOrders"))
+      );
+      return;
+    }
+
+    const placed = formatDate(order.createdAt, { dateStyle: "long", timeStyle: "short" });
+    const c = order.customer;
+
+    replace(
+      root,
+      el("h1", {}, t("order.thanks")),
+      el("p", { class: "notice", role: "status" }, notice(order)),
+      el(
+        "dl",
+        { class: "order__meta" },
+        el("dt", {}, t("order.number")), el("dd", {}, order.id),
+        el("dt", {}, t("order.placed")), el("dd", {}, placed),
+        el("dt", {}, t("order.status")), el("dd", {}, t(`order.status.${order.status}`)),
+        el("dt", {}, t("order.shipTo")), el("dd", {}, [c.name, c.address, `${c.zip || ""} ${c.city}`.trim(), c.country && regionName(c.country)].filter(Boolean).join(", ")),
+        el("dt", {}, t("order.paidWith")), el("dd", {}, c.cardLast4 ? t("order.cardEnding", { last4: c.cardLast4 }) : t("order.card"))
+      ),
+      orderSummaryElement(order),
+      el(
+        "div",
+        { class: "order__actions" },
+        el("button", { class: "ghost", type: "button", onclick: () => window.print() }, t("order.print")),
+        el("a", { class: "primary", href: "products.html" }, t("order.continue")),
+        el("a", { href: "orders.html" }, t("orders.heading"))
+      )
+    );
+  }
+
+  render();
+  window.addEventListener("locale:changed", render, { signal });
+  // A queued order was sent (or refused) in the background
+  window.addEventListener("orders:updated", render, { signal });
+}
@@ -0,0 +1,69 @@
+/**
+ * pages/orders.js
+ * Order history: every order placed in this browser.
+ *
+ * Expected DOM on orders.html:
+ *   - #orders-root (presence check)
+ */
+
+import { getOrders } from "../orders.js";
+import { t, formatPrice, formatDate } from "../i18n.js";
+import { el, replace } from "../dom.js";
+
+/** Mount the order history page */
+export function mount({ signal }) {
+  const root = document.getElementById("orders-root");
+  if (!root) return;
+
+  function render() {
+    const orders = getOrders();
+    if (!orders.length) {
+      replace(
+        root,
+        el("p", {}, t("orders.empty")),
+        el("a", { class: "primary", href: "products.html" }, t("orders.start"))
+      );
+      return;
+    }
+
+    replace(
+      root,
+      el(
+        "table",
+        { class: "table" },
+        el(
+          "thead",
+          {},
+          el(
+            "tr",
+            {},
+            el("th", {}, t("orders.order")),
+            el("th", {}, t("orders.date")),
+            el("th", {}, t("order.status")),
+            el("th", {}, t("orders.items")),
+            el("th", {}, t("orders.total"))
+          )
+        ),
+        el(
+          "tbody",
+          {},
+          orders.map((o) =>
+            el(
+              "tr",
+              {},
+              el("td", {}, el("a", { href: `order.html?id=${encodeURIComponent(o.id)}` }, o.id)),
+              el("td", {}, formatDate(o.createdAt)),
+              el("td", {}, t(`order.status.${o.status}`)),
+              el("td", {}, String(o.lines.reduce((n, l) => n + l.qty, 0))),
+              el("td", {}, formatPrice(o.totals.total))
+            )
+          )
+        )
+      )
+    );
+  }
+
+  render();
+  window.addEventListener("locale:changed", render, { signal });
+  window.addEventListener("orders:updated", render, { signal });
+}
@@ -0,0 +1,123 @@
+/**
+ * pages/wishlist.js
+ * Saved-for-later page: move items to the cart or forget them.
+ *
+ * Expected DOM on wishlist.html:
+ *   - #wishlist-root (presence check)
+ *   - #wishlist-list
+ */
+
+import { lineKey } from "../cart.js";
+import { getWishlist, removeFromWishlist, moveToCart } from "../wishlist.js";
+import { track } from "../analytics.js";
+import { loadCatalog } from "../catalog.js";
+import { t } from "../i18n.js";
+import { el, replace } from "../dom.js";
+import { waitForRetry, priceLabel, limitMessage } from "../views.js";
+
+/** Mount the wishlist page */
+export async function mount({ signal }) {
+  const root = document.getElementById("wishlist-root");
+  if (!root) return;
+  const listEl = document.getElementById("wishlist-list");
+
+  let catalog = [];
+  let byId = null; // set early when the refresh beats the first load
+  let ready = false; // the page below is built
+  for (;;) {
+    try {
+      ({ products: catalog } = await loadCatalog({
+        onRefresh(fresh) {
+          if (signal.aborted) return;
+          byId = new Map(fresh.map((p) => [p.id, p]));
+          if (ready) render();
+        },
+      }));
+      break;
+    } catch (err) {
+      if (!(await waitForRetry(listEl, t("list.loadError"), err, signal))) return;
+    }
+  }
+  if (signal.aborted) return;
+  byId ??= new Map(catalog.map((p) => [p.id, p]));
+
+  // Line key → why it could not (fully) move to the cart
+  const notes = new Map();
+
+  /** One saved item; products gone from the catalog can only be removed */
+  function wishlistItemElement(item) {
+    const key = lineKey(item.id, item.size);
+    const p = byId.get(item.id);
+    const href = `product.html?id=${encodeURIComponent(item.id)}`;
+    const canBuy = Boolean(p?.purchasable && p.inStock);
+
+    const meta = el(
+      "div",
+      { class: "cart-line__meta" },
+      item.size ? `${t("common.size", { size: item.size })} · ` : "",
+      `${t("wishlist.qty", { qty: item.qty })} · `,
+      p ? priceLabel(p.price, p.originalPrice) : t("wishlist.gone")
+    );
+    const note = notes.has(key) ? el("p", { class: "cart-line__limit", role: "status" }, notes.get(key)) : "";
+    const actions = el(
+      "div",
+      { class: "cart-line__actions" },
+      el("button", { class: "primary move-to-cart", type: "button", disabled: !canBuy },
+        !p ? t("product.unavailable") : p.inStock ? t("wishlist.moveToCart") : t("product.outOfStock")),
+      el("button", { class: "ghost remove", type: "button" }, t("common.remove"))
+    );
+
+    return el(
+      "div",
+      { class: "cart-line", dataset: { id: item.id, size: item.size, key } },
+      el("img", { src: p?.imageUrl || "", alt: p?.imageAlt || item.title, loading: "lazy" }),
+      el(
+        "div",
+        { class: "cart-line__left" },
+        el("h3", { class: "cart-line__title" }, el("a", { href }, p?.title || item.title || t("wishlist.item"))),
+        meta,
+        note,
+        actions
+      )
+    );
+  }
+
+  function render() {
+    const items = getWishlist();
+    if (!items.length) {
+      replace(
+        listEl,
+        el("p", {}, t("wishlist.empty")),
+        el("a", { class: "primary", href: "products.html" }, t("wishlist.browse"))
+      );
+      return;
+    }
+    replace(listEl, items.map(wishlistItemElement));
+  }
+
+  listEl.addEventListener("click", (e) => {
+    const line = e.target.closest(".cart-line");
+    if (!line) return;
+    const { id, size, key } = line.dataset;
+
+    if (e.target.closest(".move-to-cart")) {
+      const p = byId.get(id);
+      const result = moveToCart(key, p);
+      if (result?.added) track("add_to_cart", { id: String(id), size, qty: result.added, price: p.price });
+      if (result?.reason) notes.set(key, limitMessage(result.reason, result.max));
+      else notes.delete(key);
+      render();
+      return;
+    }
+    if (e.target.closest(".remove")) {
+      notes.delete(key);
+      removeFromWishlist(key);
+    }
+  });
+
+  // Saved, moved or removed here or in another tab; or a new language/currency
+  window.addEventListener("wishlist:updated", render, { signal });
+  window.addEventListener("locale:changed", render, { signal });
+  ready = true;
+  render();
+}
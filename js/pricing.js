@@ -0,0 +1,109 @@
+/**
+ * pricing.js
+ * Cart totals in one place: subtotal, sale savings, promo discount,
+ * shipping and tax. Pure functions — no DOM, no storage — so cart.html
+ * and checkout.html always agree and the rules can be tested on their own.
+ *
+ * Rules come from config.pricing; every function takes an optional `rules`
+ * argument so tests can pass their own.
+ */
+
+import { config } from "./config.js";
+
+/** Round to whole cents */
+export const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Merge cart items with catalog products.
+ * Lines whose product is missing from the catalog are skipped.
+ * @param {{ id: string, size: string, qty: number }[]} items
+ * @param {Map<string, object>} byId  normalized products by id
+ */
+export function buildLines(items, byId) {
+  return items
+    .map(({ id, size, qty }) => {
+      const p = byId.get(id);
+      if (!p) return null; // product disappeared from catalog
+      return {
+        id,
+        size,
+        qty,
+        title: p.title,
+        imageUrl: p.imageUrl,
+        price: p.price,
+        originalPrice: p.originalPrice,
+        lineTotal: round2(p.price * qty),
+        lineSavings: round2((p.originalPrice - p.price) * qty),
+      };
+    })
+    .filter(Boolean);
+}
+
+/** Region settings, falling back to the default region for unknown codes */
+export function getRegion(code, rules = config.pricing) {
+  const key = String(code || "").toUpperCase();
+  const found = rules.regions[key] ? key : rules.defaultRegion;
+  return { code: found, ...rules.regions[found] };
+}
+
+/**
+ * Check a promo code against a subtotal.
+ * Returns { promo } when it applies, or { error, ... } with one of:
+ *   "unknown" | "expired" | "min-spend" (+ minSpend)
+ */
+export function evaluatePromo(code, subtotal, { now = new Date(), rules = config.pricing } = {}) {
+  const key = String(code || "").trim().toUpperCase();
+  if (!key) return {};
+  const promo = rules.promoCodes[key];
+  if (!promo) return { code: key, error: "unknown" };
+  if (promo.expires && now > new Date(`${promo.expires}T23:59:59`)) return { code: key, error: "expired" };
+  if (promo.minSpend && subtotal < promo.minSpend) {
+    return { code: key, error: "min-spend", minSpend: promo.minSpend };
+  }
+  return { code: key, promo };
+}
+
+function promoDiscount(promo, subtotal) {
+  const raw = promo.type === "percent" ? (subtotal * promo.value) / 100 : promo.value;
+  return round2(Math.min(Math.max(raw, 0), subtotal));
+}
+
+/** Shipping for a (discounted) goods amount; 0 for an empty cart */
+export function shippingFor(amount, rules = config.pricing) {
+  if (amount <= 0 || amount >= rules.freeShippingFrom) return 0;
+  const tier = rules.shippingTiers.find((t) => amount < t.under);
+  return tier ? tier.cost : 0;
+}
+
+/**
+ * Full breakdown for a set of lines from buildLines().
+ * @param {object[]} lines
+ * @param {{ region?: string, promoCode?: string, now?: Date, rules?: object }} [opts]
+ */
+export function priceCart(lines, { region, promoCode, now = new Date(), rules = config.pricing } = {}) {
+  const subtotal = round2(lines.reduce((s, l) => s + l.lineTotal, 0));
+  const savings = round2(lines.reduce((s, l) => s + (l.lineSavings || 0), 0));
+
+  const promoResult = evaluatePromo(promoCode, subtotal, { now, rules });
+  const discount = promoResult.promo ? promoDiscount(promoResult.promo, subtotal) : 0;
+  const goods = round2(subtotal - discount);
+
+  const shipping = shippingFor(goods, rules);
+  const freeShippingRemaining = goods > 0 && shipping > 0 ? round2(rules.freeShippingFrom - goods) : 0;
+
+  const reg = getRegion(region, rules);
+  const tax = round2(goods * reg.taxRate);
+
+  return {
+    itemCount: lines.reduce((n, l) => n + l.qty, 0),
+    subtotal,
+    savings,
+    promo: promoResult, // { code?, promo?, error? }
+    discount,
+    shipping,
+    freeShippingRemaining,
+    region: reg,
+    tax,
+    total: round2(goods + shipping + tax),
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * product.js
+ * One normalized product shape for every data source and page.
+ *
+ * Both the raw API product and the normalized result are checked against
+ * small declarative rule sets. Problems are never hidden:
+ * - severity "error"   → the product is excluded (see normalizeProducts)
+ * - severity "warning" → the product is kept but carries the issue in `issues`
+ * Everything found is collected for developers: getProductWarnings().
+ */
+
+/**
+ * Field rules. Supported keys:
+ *   type      "string" | "number" | "array" | "object"
+ *   required  missing (null/undefined) is an issue
+ *   nonEmpty  "" / [] is an issue
+ *   min       numbers below this are an issue (minMessage overrides the text)
+ *   oneOf     allowed values (strings compared lower-case)
+ *   severity  "error" | "warning" (default)
+ */
+const RAW_RULES = {
+  id: { type: "string", required: true, nonEmpty: true, severity: "error" },
+  title: { type: "string", required: true, nonEmpty: true },
+  description: { type: "string" },
+  gender: { type: "string", oneOf: ["female", "male", "unisex", "women", "men"] },
+  sizes: { type: "array" },
+  price: { type: "number", required: true, min: 0 },
+  discountedPrice: { type: "number", min: 0 },
+  image: { type: "object" },
+  images: { type: "array" },
+  sizeStock: { type: "object" },
+  stock: { type: "number", min: 0 },
+  maxPerOrder: { type: "number", min: 1 },
+};
+
+const PRODUCT_RULES = {
+  id: { type: "string", required: true, nonEmpty: true, severity: "error" },
+  title: { type: "string", required: true, nonEmpty: true },
+  price: { type: "number", required: true, min: 0.01, minMessage: "would sell for $0" },
+  gender: { type: "string", oneOf: ["women", "men", "unisex"] },
+  sizes: { type: "array", nonEmpty: true },
+  imageUrl: { type: "string", nonEmpty: true },
+};
+
+const warnings = new Map(); // product id → issues, latest normalize wins
+
+/** Check an object against a rule set; returns [{ field, message, severity }] */
+export function validate(obj, rules) {
+  const issues = [];
+  for (const [field, rule] of Object.entries(rules)) {
+    const value = obj?.[field];
+    const add = (message) => issues.push({ field, message, severity: rule.severity || "warning" });
+
+    if (value === undefined || value === null) {
+      if (rule.required) add("is missing");
+      continue;
+    }
+    const typeOk =
+      rule.type === "array" ? Array.isArray(value)
+      : rule.type === "number" ? typeof value === "number" && Number.isFinite(value)
+      : typeof value === rule.type;
+    if (!typeOk) {
+      add(`should be a ${rule.type}, got ${JSON.stringify(value)}`);
+      continue;
+    }
+    if (rule.nonEmpty && (typeof value === "string" ? !value.trim() : value.length === 0)) add("is empty");
+    if (rule.min !== undefined && value < rule.min) add(rule.minMessage || `is below ${rule.min}`);
+    if (rule.oneOf && !rule.oneOf.includes(typeof value === "string" ? value.toLowerCase() : value)) {
+      add(`has unexpected value "${value}"`);
+    }
+  }
+  return issues;
+}
+
+/** Exact match on known words, so "female" can never be read as "male" */
+function parseGender(raw) {
+  const g = String(raw || "").trim().toLowerCase();
+  if (["female", "women", "woman", "womens"].includes(g)) return "women";
+  if (["male", "men", "man", "mens"].includes(g)) return "men";
+  return "unisex";
+}
+
+/** [{ url, alt }] from `image` and `images`, first image first, no duplicates or blanks */
+function parseImages(p) {
+  const images = [];
+  for (const img of [p?.image, ...(Array.isArray(p?.images) ? p.images : [])]) {
+    const url = typeof img?.url === "string" ? img.url.trim() : "";
+    if (!url || images.some((i) => i.url === url)) continue;
+    images.push({ url, alt: typeof img.alt === "string" && img.alt.trim() ? img.alt.trim() : p?.title || "" });
+  }
+  return images;
+}
+
+/** { SIZE: units } for the sizes whose stock is tracked */
+function parseSizeStock(raw) {
+  if (!raw || typeof raw !== "object") return {};
+  const entries = Object.entries(raw).filter(([, n]) => Number.isInteger(n) && n >= 0);
+  return Object.fromEntries(entries.map(([size, n]) => [size.toUpperCase(), n]));
+}
+
+/**
+ * Normalize a product so the rest of the code never worries about backend quirks.
+ * - gender → "women" | "men" | "unisex"
+ * - images: [{ url, alt }] (alt falls back to the title); imageUrl/imageAlt = the first one
+ * - price number (uses discountedPrice if present), 0 when unusable
+ * - originalPrice: the list price; price is what the shopper pays
+ * - onSale + discountPercent when price is below originalPrice
+ * - createdAt ms (0 if unknown)
+ * - stock: units left (null = not tracked); maxPerOrder: product cap (null = config default)
+ * - sizeStock: { SIZE: units } for sizes tracked separately (see unitsLeft in limits.js)
+ * - inStock: false only when stock is tracked and 0
+ * - issues: everything the rules found; purchasable: false when price is not > 0
+ */
+export function normalizeProduct(p) {
+  const rawIssues = validate(p, RAW_RULES).map((i) => ({ ...i, field: `raw.${i.field}` }));
+  const price = Number(p?.discountedPrice ?? p?.price ?? 0);
+  const listPrice = Number(p?.price);
+
+  const product = {
+    sizes: Array.isArray(p?.sizes) ? p.sizes.map((s) => String(s).toUpperCase()) : [],
+    id: p?.id,
+    title: p?.title || "jacket",
+    price: Number.isFinite(price) && price > 0 ? price : 0,
+    images: parseImages(p),
+    gender: parseGender(p?.gender),
+    description: p?.description ?? "",
+    tags: Array.isArray(p?.tags) ? p.tags.map(String) : [],
+    createdAt: Date.parse(p?.created ?? p?.createdAt ?? "") || 0,
+    stock: Number.isInteger(p?.stock) && p.stock >= 0 ? p.stock : null,
+    maxPerOrder: Number.isInteger(p?.maxPerOrder) && p.maxPerOrder >= 1 ? p.maxPerOrder : null,
+    sizeStock: parseSizeStock(p?.sizeStock),
+  };
+  product.imageUrl = product.images[0]?.url || "";
+  product.imageAlt = product.images[0]?.alt || product.title;
+
+  // Never "on sale" from a bad list price; otherwise the original is what we charge
+  product.originalPrice =
+    Number.isFinite(listPrice) && listPrice > product.price && product.price > 0 ? listPrice : product.price;
+  product.onSale = product.originalPrice > product.price;
+  product.discountPercent = product.onSale
+    ? Math.round((1 - product.price / product.originalPrice) * 100)
+    : 0;
+
+  const issues = [...rawIssues, ...validate(product, PRODUCT_RULES)];
+  product.issues = issues;
+  product.purchasable = product.price > 0;
+  product.inStock = product.stock !== 0;
+
+  if (issues.length) warnings.set(String(product.id ?? `#${warnings.size}`), { title: product.title, issues });
+  else warnings.delete(String(product.id));
+  return product;
+}
+
+/** Normalize a list and drop products with error-level issues */
+export function normalizeProducts(list) {
+  return list
+    .map(normalizeProduct)
+    .filter((p) => !p.issues.some((i) => i.severity === "error"));
+}
+
+/** Developer diagnostics: one row per issue, e.g. console.table(getProductWarnings()) */
+export function getProductWarnings() {
+  const rows = [];
+  for (const [id, { title, issues }] of warnings) {
+    for (const i of issues) rows.push({ id, title, ...i, excluded: i.severity === "error" });
+  }
+  return rows;
+}
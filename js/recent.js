@@ -0,0 +1,34 @@
+import { createStore } from "./storage.js";
+
+const LIMIT = 12;
+
+//product pages the shopper opened, newest first
+//schema v1: [{ id, viewedAt }]
+const store = createStore({
+  key: "rainydays_recent",
+  version: 1,
+  validate: validateItem,
+  onDrop(dropped) {
+    console.warn("Recently viewed: dropped invalid items", dropped);
+  },
+});
+
+//return a reason string for a bad item, null when it is fine
+function validateItem(item) {
+  if (!item || typeof item !== "object") return "Item is not an object";
+  if (typeof item.id !== "string" || !item.id) return "Missing product id";
+  if (!Number.isFinite(item.viewedAt)) return `Invalid time: ${item.viewedAt}`;
+  return null;
+}
+
+//remember a product page visit; a product seen before moves to the front
+export function recordView(productId) {
+  const items = store.load().items.filter(i => i.id !== productId);
+  items.unshift({ id: productId, viewedAt: Date.now() });
+  store.save(items.slice(0, LIMIT));
+}
+
+//product ids, most recently viewed first
+export function getRecentlyViewed() {
+  return store.load().items.map(i => i.id);
+}
@@ -0,0 +1,76 @@
+/**
+ * recommend.js
+ * "You may also like": rank catalog products by how much they resemble one product.
+ * Everything here is pure (no DOM, no storage), like filters.js.
+ *
+ * Similarity is a weighted sum of:
+ *   - gender: the same gender, or half when either one is unisex
+ *   - sizes: share of the product's sizes the other one also comes in
+ *   - price: within PRICE_BAND of each other, the closer the better
+ *   - terms: words shared by title, description and tags (search.js tokens);
+ *     words found in most of the catalog (the brand name, "jacket") are ignored
+ */
+
+import { tokenize } from "./search.js";
+
+const WEIGHTS = { gender: 3, sizes: 2, price: 2, terms: 3 };
+const PRICE_BAND = 0.3; // ±30% of the product's price
+const STOP_WORDS = new Set(["and", "the", "for", "with", "you", "your", "that", "this", "are", "from", "keep"]);
+
+const termCache = new WeakMap(); // product → Set of terms, built once per product object
+
+function terms(p) {
+  if (!termCache.has(p)) {
+    const words = tokenize(`${p.title} ${p.description} ${p.tags.join(" ")}`);
+    termCache.set(p, new Set(words.filter((w) => w.length > 2 && !STOP_WORDS.has(w))));
+  }
+  return termCache.get(p);
+}
+
+/** Words found in more than half of the products */
+function commonTerms(products) {
+  const counts = new Map();
+  for (const p of products) for (const word of terms(p)) counts.set(word, (counts.get(word) || 0) + 1);
+  return new Set([...counts].filter(([, n]) => n > products.length / 2).map(([word]) => word));
+}
+
+/** How much `other` resembles `product` (0 = nothing in common); `ignore` holds terms that say nothing */
+export function similarity(product, other, ignore = new Set()) {
+  let score = 0;
+
+  if (product.gender === other.gender) score += WEIGHTS.gender;
+  else if (product.gender === "unisex" || other.gender === "unisex") score += WEIGHTS.gender / 2;
+
+  if (product.sizes.length) {
+    const shared = product.sizes.filter((s) => other.sizes.includes(s)).length;
+    score += (WEIGHTS.sizes * shared) / product.sizes.length;
+  }
+
+  if (product.price > 0 && other.price > 0) {
+    const diff = Math.abs(product.price - other.price) / product.price;
+    if (diff <= PRICE_BAND) score += WEIGHTS.price * (1 - diff / PRICE_BAND);
+  }
+
+  // Overlap coefficient: a short description is not punished for being short
+  const a = [...terms(product)].filter((w) => !ignore.has(w));
+  const b = new Set([...terms(other)].filter((w) => !ignore.has(w)));
+  if (a.length && b.size) {
+    let shared = 0;
+    for (const word of a) if (b.has(word)) shared++;
+    score += (WEIGHTS.terms * shared) / Math.min(a.length, b.size);
+  }
+
+  return score;
+}
+
+/** The `limit` products most like `product` that can be bought right now */
+export function recommend(product, products, { limit = 4 } = {}) {
+  const ignore = commonTerms(products);
+  return products
+    .filter((p) => String(p.id) !== String(product.id) && p.purchasable && p.inStock)
+    .map((p) => ({ p, score: similarity(product, p, ignore) }))
+    .filter((r) => r.score > 0)
+    .sort((x, y) => y.score - x.score || x.p.price - y.p.price)
+    .slice(0, limit)
+    .map((r) => r.p);
+}
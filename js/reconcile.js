@@ -0,0 +1,59 @@
+/**
+ * reconcile.js
+ * Compare saved cart lines with the current catalog (pure, no DOM/storage).
+ *
+ * Finds lines whose product was removed, sold out (in the line's size too)
+ * or whose size is no longer offered (those lines are dropped), lines above
+ * their quantity cap (lowered to it, see lineLimit in limits.js) and lines whose price changed since they were
+ * added (kept at the new price).
+ */
+
+import { lineLimit, unitsLeft } from "./limits.js";
+
+/**
+ * @param {{ id: string, size: string, qty: number, price?: number|null }[]} items
+ * @param {Map<string, object>} byId  normalized products by id
+ * @returns {{ items: object[], changes: object[] }}
+ *   changes: [{ type: "removed"|"soldout"|"size"|"qty"|"price", id, size, title,
+ *     oldPrice?, newPrice?, oldQty?, newQty?, max?, reason? }]
+ */
+export function reconcileCart(items, byId) {
+  const kept = [];
+  const changes = [];
+  const used = new Map(); // product id → units kept so far, across sizes
+
+  for (const line of items) {
+    const p = byId.get(line.id);
+    if (!p) {
+      changes.push({ type: "removed", id: line.id, size: line.size, title: line.title || "An item" });
+      continue;
+    }
+    if (line.size && Array.isArray(p.sizes) && !p.sizes.includes(line.size)) {
+      changes.push({ type: "size", id: line.id, size: line.size, title: p.title });
+      continue;
+    }
+    if (unitsLeft(p, line.size) === 0) {
+      changes.push({ type: "soldout", id: line.id, size: line.size, title: p.title });
+      continue;
+    }
+    // The size's own stock, and the product-wide cap shared with the lines kept so far
+    const limit = lineLimit(p, line.size);
+    const shared = limit.shared || limit;
+    const sharedRoom = shared.max - (used.get(line.id) || 0);
+    const { max, reason } = limit.max < sharedRoom ? limit : shared;
+    const qty = Math.min(line.qty, Math.max(0, Math.min(limit.max, sharedRoom)));
+    if (qty < line.qty) {
+      changes.push({ type: "qty", id: line.id, size: line.size, title: p.title, oldQty: line.qty, newQty: qty, max, reason });
+    }
+    if (qty < 1) continue;
+    used.set(line.id, (used.get(line.id) || 0) + qty);
+
+    const known = typeof line.price === "number";
+    if (known && line.price !== p.price) {
+      changes.push({ type: "price", id: line.id, size: line.size, title: p.title, oldPrice: line.price, newPrice: p.price });
+    }
+    kept.push({ ...line, qty, title: p.title, price: p.price });
+  }
+
+  return { items: kept, changes };
+}
@@ -0,0 +1,117 @@
+/**
+ * router.js
+ * Which page module runs, and (optionally) moving between pages without a reload.
+ *
+ * - Routes are keyed by page name: "products" for products.html or /products,
+ *   "index" for the site root. Each route is { mount, soft?, ownsHistory? }.
+ * - mount(ctx) gets { signal, url, navigate }. Listeners added with { signal }
+ *   are removed when the page unmounts; mount may also return a cleanup function.
+ * - With soft navigation on, links between two `soft` routes fetch the target
+ *   page and swap its <main> in place; the header, badges and locale switcher stay.
+ *   Anything else (other pages, failed fetches) is a normal page load.
+ * - Back/forward within one page is left to routes that set ownsHistory
+ *   (the list page keeps its filters in the query string).
+ */
+
+/** "products" for ".../products.html?x=1", "index" for "/" */
+export function pageName(url) {
+  const file = new URL(url, location.href).pathname.split("/").pop();
+  return file.replace(/\.html$/, "") || "index";
+}
+
+export function createRouter({ routes, soft = false, onSwap = () => {} }) {
+  let current = null; // { name, controller, cleanup }
+
+  function mount() {
+    const name = pageName(location.href);
+    const controller = new AbortController();
+    current = { name, controller, cleanup: null };
+    const route = routes[name];
+    if (!route) return;
+    const result = route.mount({ signal: controller.signal, url: new URL(location.href), navigate });
+    // async mounts return a promise; only a function is a cleanup
+    if (typeof result === "function") current.cleanup = result;
+  }
+
+  function unmount() {
+    if (!current) return;
+    current.controller.abort();
+    current.cleanup?.();
+    current = null;
+  }
+
+  /** Both ends are soft routes on this site */
+  function isSoft(url) {
+    return (
+      soft &&
+      url.origin === location.origin &&
+      Boolean(routes[pageName(url)]?.soft) &&
+      Boolean(routes[current?.name]?.soft)
+    );
+  }
+
+  /** Fetch a page, unmount the current one, swap <main> and mount the new one */
+  async function swapTo(url, { push = true } = {}) {
+    let doc;
+    try {
+      const res = await fetch(url, { headers: { Accept: "text/html" } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      doc = new DOMParser().parseFromString(await res.text(), "text/html");
+    } catch (err) {
+      console.warn("router: falling back to a full page load", err);
+      location.assign(url);
+      return;
+    }
+    const next = doc.querySelector("main");
+    const main = document.querySelector("main");
+    if (!next || !main) {
+      location.assign(url);
+      return;
+    }
+
+    unmount();
+    if (push) history.pushState(null, "", url);
+    document.title = doc.title;
+    main.replaceWith(document.adoptNode(next));
+    onSwap(next);
+    mount();
+
+    // Like a page load: start at the top, with focus at the new content
+    window.scrollTo(0, 0);
+    next.tabIndex = -1;
+    next.focus({ preventScroll: true });
+  }
+
+  /** Go to a URL: soft when both pages allow it, a normal load otherwise */
+  function navigate(href) {
+    const url = new URL(href, location.href);
+    if (isSoft(url)) return swapTo(url.href);
+    location.assign(url.href);
+  }
+
+  /** Mount the current page and, with soft navigation on, take over links and back/forward */
+  function start() {
+    mount();
+    if (!soft) return;
+
+    document.addEventListener("click", (e) => {
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      const link = e.target.closest("a[href]");
+      if (!link || link.target || link.hasAttribute("download")) return;
+      const url = new URL(link.href, location.href);
+      if (!isSoft(url)) return;
+      // Same page, only a #hash: let the browser scroll
+      if (url.pathname === location.pathname && url.search === location.search && url.hash) return;
+      e.preventDefault();
+      swapTo(url.href);
+    });
+
+    window.addEventListener("popstate", () => {
+      const name = pageName(location.href);
+      if (name === current?.name && routes[name]?.ownsHistory) return;
+      swapTo(location.href, { push: false });
+    });
+  }
+
+  return { start, navigate };
+}
@@ -0,0 +1,138 @@
+/**
+ * search.js
+ * Small in-browser product search (no DOM).
+ *
+ * - Fields: title, tags, gender, description (weighted in that order).
+ * - Text is lower-cased, accents stripped (é → e, ø → o), split into words,
+ *   and plural "s" dropped, so "Jåcket", "jackets" and "jacket" line up.
+ * - Each query word must match some word in the product: exactly, as a
+ *   prefix, or within 1–2 typos (longer words allow more).
+ * - Results are ranked by a weighted score.
+ */
+
+const FIELDS = [
+  ["title", 3],
+  ["tags", 2],
+  ["gender", 1.5],
+  ["description", 1],
+];
+
+const EXACT = 1;
+const PREFIX = 0.8;
+const FUZZY = 0.6;
+
+const docs = new WeakMap(); // product → tokens per field, built once per product object
+
+/** Lower-case, strip accents and Nordic letters that NFD leaves alone */
+export function foldText(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/ø/g, "o")
+    .replace(/æ/g, "ae")
+    .replace(/ß/g, "ss");
+}
+
+function stem(word) {
+  return word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word;
+}
+
+/** Words of a text, folded and stemmed */
+export function tokenize(text) {
+  return (foldText(text).match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+}
+
+/** Edit distance with adjacent swaps (OSA); gives up once it exceeds max */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** How well one query word matches one product word (0 = not at all) */
+export function matchWord(queryWord, word) {
+  if (word === queryWord) return EXACT;
+  if (queryWord.length >= 2 && word.startsWith(queryWord)) return PREFIX;
+  const maxEdits = queryWord.length >= 8 ? 2 : queryWord.length >= 4 ? 1 : 0;
+  if (maxEdits && editDistance(queryWord, word, maxEdits) <= maxEdits) return FUZZY;
+  return 0;
+}
+
+function docFor(p) {
+  let doc = docs.get(p);
+  if (!doc) {
+    doc = FIELDS.map(([field, weight]) => {
+      const value = Array.isArray(p[field]) ? p[field].join(" ") : p[field];
+      return { weight, words: [...new Set(tokenize(value))] };
+    });
+    docs.set(p, doc);
+  }
+  return doc;
+}
+
+/** Relevance of one product for already-tokenized query words; 0 = no match */
+function scoreProduct(p, queryWords) {
+  let total = 0;
+  for (const q of queryWords) {
+    let best = 0;
+    for (const { weight, words } of docFor(p)) {
+      for (const w of words) best = Math.max(best, matchWord(q, w) * weight);
+    }
+    if (!best) return 0; // every query word has to match somewhere
+    total += best;
+  }
+  return total;
+}
+
+/**
+ * Products matching the query, best first (ties keep catalog order).
+ * An empty query returns the list unchanged.
+ */
+export function searchProducts(products, query) {
+  const queryWords = tokenize(query);
+  if (!queryWords.length) return products.slice();
+  return products
+    .map((p, i) => ({ p, i, score: scoreProduct(p, queryWords) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map((r) => r.p);
+}
+
+/**
+ * Split text into [{ text, match }] segments, marking the words that match
+ * the query, so the UI can wrap them in <mark>.
+ */
+export function highlightParts(text, query) {
+  const source = String(text ?? "");
+  const queryWords = tokenize(query);
+  if (!queryWords.length) return [{ text: source, match: false }];
+
+  const parts = [];
+  let last = 0;
+  for (const m of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = stem(foldText(m[0]));
+    if (!queryWords.some((q) => matchWord(q, word))) continue;
+    if (m.index > last) parts.push({ text: source.slice(last, m.index), match: false });
+    parts.push({ text: m[0], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < source.length) parts.push({ text: source.slice(last), match: false });
+  return parts;
+}
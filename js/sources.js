@@ -0,0 +1,178 @@
+/**
+ * sources.js
+ * Interchangeable product sources. Every source has the same shape:
+ *
+ *   { name, list(): Promise<Product[]>, page({ page, limit }): Promise<Page>, get(id): Promise<Product> }
+ *
+ *   Page = { products, page, pageCount, total }   (page numbers start at 1)
+ *
+ * and always returns products already passed through normalizeProduct;
+ * lists skip products that fail validation with an error (see product.js).
+ * get() throws NotFoundError for unknown ids; other failures are typed too (http.js).
+ *
+ * - noroff:  the Noroff v2 REST API (default)
+ * - fixture: a static JSON file, for offline development
+ * - memory:  an in-memory array, for tests
+ *
+ * Pick one in config.js, or per session with ?source=<name>.
+ */
+
+import { config } from "./config.js";
+import { normalizeProduct, normalizeProducts } from "./product.js";
+import { requestJson, BadShapeError, NotFoundError } from "./http.js";
+
+const SESSION_KEY = "rainydays_source";
+
+let active = null;
+
+/** Accept either a bare array or the Noroff { data: [...] } envelope */
+function unwrapList(json) {
+  const data = Array.isArray(json) ? json : json?.data;
+  if (!Array.isArray(data)) throw new BadShapeError("Unexpected API response shape");
+  return data;
+}
+
+/** One page of an in-memory list */
+function pageOf(products, page, limit) {
+  return {
+    products: products.slice((page - 1) * limit, page * limit),
+    page,
+    pageCount: Math.max(1, Math.ceil(products.length / limit)),
+    total: products.length,
+  };
+}
+
+/**
+ * Pages `from`…`pageCount` through fetchPage(n), at most config.pageConcurrency
+ * requests at a time; resolves to the results in page order. After a failure
+ * no new requests start and the first error is thrown.
+ */
+export async function fetchPages(fetchPage, from, pageCount, concurrency = config.pageConcurrency) {
+  const results = [];
+  let next = from;
+  let failed = false;
+  async function worker() {
+    while (!failed && next <= pageCount) {
+      const n = next++;
+      try {
+        results[n - from] = await fetchPage(n);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  }
+  const workers = Math.max(0, Math.min(concurrency, pageCount - from + 1));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/** Find by id in a list, or throw NotFoundError */
+function findOrThrow(products, id) {
+  const found = products.find((p) => String(p.id) === String(id));
+  if (!found) throw new NotFoundError(`No product with id ${id}`);
+  return found;
+}
+
+/**
+ * Noroff REST API: paged list (?page=&limit=, see json.meta) + single-product endpoint.
+ * list() fetches every page (see fetchPages); a response without meta counts as the only page.
+ */
+export function createNoroffSource(endpoint = config.endpoint, pageSize = config.pageSize) {
+  async function page({ page = 1, limit = pageSize } = {}) {
+    const json = await requestJson(`${endpoint}?page=${page}&limit=${limit}`);
+    return {
+      products: normalizeProducts(unwrapList(json)),
+      page,
+      pageCount: Number.isInteger(json?.meta?.pageCount) ? Math.max(1, json.meta.pageCount) : 1,
+      total: Number.isInteger(json?.meta?.totalCount) ? json.meta.totalCount : null,
+    };
+  }
+
+  return {
+    name: "noroff",
+    page,
+    async list() {
+      const first = await page({ page: 1 });
+      const rest = await fetchPages((n) => page({ page: n }), 2, first.pageCount);
+      return [first, ...rest].flatMap((p) => p.products);
+    },
+    async get(id) {
+      const json = await requestJson(`${endpoint}/${encodeURIComponent(id)}`);
+      if (!json?.data) throw new BadShapeError("Unexpected response format.");
+      const product = normalizeProduct(json.data);
+      if (product.issues.some((i) => i.severity === "error")) {
+        throw new BadShapeError(`Product ${id} failed validation`);
+      }
+      return product;
+    },
+  };
+}
+
+/** Static JSON file in the same shape as the API response */
+export function createFixtureSource(url = config.fixtureUrl) {
+  let cached = null;
+  const list = async () => {
+    cached ??= normalizeProducts(unwrapList(await requestJson(url)));
+    return cached.slice();
+  };
+  return {
+    name: "fixture",
+    list,
+    async page({ page = 1, limit = config.pageSize } = {}) {
+      return pageOf(await list(), page, limit);
+    },
+    async get(id) {
+      return findOrThrow(await list(), id);
+    },
+  };
+}
+
+/** In-memory products (raw API shape), e.g. for tests */
+export function createMemorySource(rawProducts = []) {
+  const products = normalizeProducts(rawProducts);
+  return {
+    name: "memory",
+    async list() {
+      return products.slice();
+    },
+    async page({ page = 1, limit = config.pageSize } = {}) {
+      return pageOf(products, page, limit);
+    },
+    async get(id) {
+      return findOrThrow(products, id);
+    },
+  };
+}
+
+const factories = {
+  noroff: () => createNoroffSource(),
+  fixture: () => createFixtureSource(),
+  memory: () => createMemorySource(),
+};
+
+/** ?source=… wins and is remembered for the session; else config.source */
+function chosenSourceName() {
+  const fromQuery = typeof location !== "undefined"
+    ? new URLSearchParams(location.search).get("source")
+    : null;
+  try {
+    if (fromQuery && fromQuery in factories) sessionStorage.setItem(SESSION_KEY, fromQuery);
+    const remembered = sessionStorage.getItem(SESSION_KEY);
+    if (remembered in factories) return remembered;
+  } catch {
+    if (fromQuery in factories) return fromQuery;
+  }
+  return config.source in factories ? config.source : "noroff";
+}
+
+/** The source every fetch goes through */
+export function getSource() {
+  active ??= factories[chosenSourceName()]();
+  return active;
+}
+
+/** Swap the source at runtime (tests, dev tools) */
+export function setSource(source) {
+  active = source;
+}
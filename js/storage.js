@@ -0,0 +1,133 @@
+/**
+ * storage.js
+ * Versioned JSON collections on top of localStorage.
+ *
+ * - Data is kept as { version, items } under a single key.
+ * - Older payloads (including legacy keys) run through a migration chain.
+ * - Every item is validated; bad ones are dropped and reported, never silently.
+ * - Falls back to an in-memory map when localStorage is missing or throws.
+ */
+
+const memory = new Map(); // keys that could not be written to localStorage
+
+// Raw string access with the same fallback, for callers that need no versioning
+export function readRaw(key) {
+  if (memory.has(key)) return memory.get(key);
+  try { return localStorage.getItem(key); }
+  catch { return null; }
+}
+
+export function writeRaw(key, value) {
+  try {
+    localStorage.setItem(key, value);
+    memory.delete(key);
+  } catch {
+    memory.set(key, value); // private mode, quota, disabled storage…
+  }
+}
+
+export function removeRaw(key) {
+  memory.delete(key);
+  try { localStorage.removeItem(key); }
+  catch { /* nothing stored there anyway */ }
+}
+
+/**
+ * Create a versioned collection.
+ * @param {object} opts
+ * @param {string} opts.key            storage key for the current schema
+ * @param {number} opts.version        current schema version
+ * @param {Object<string, number>} [opts.legacy]  old key → schema version of its bare array
+ * @param {Object<number, Function>} [opts.migrations]  n → fn(items) returning version n+1 items
+ * @param {Function} [opts.validate]   item → reason string if invalid, else null
+ * @param {Function} [opts.onDrop]     called with [{ item, reason }] when items are discarded
+ */
+export function createStore({ key, version, legacy = {}, migrations = {}, validate = () => null, onDrop = () => {} }) {
+  function migrate(items, from) {
+    let out = items;
+    for (let v = from; v < version; v++) {
+      const step = migrations[v];
+      if (!step) throw new Error(`No migration from v${v} to v${v + 1}`);
+      out = step(out);
+    }
+    return out;
+  }
+
+  /** Find the payload to load: current key first, then legacy keys */
+  function readPayload() {
+    const raw = readRaw(key);
+    if (raw !== null) return { raw, from: null };
+    for (const [oldKey, v] of Object.entries(legacy)) {
+      const old = readRaw(oldKey);
+      if (old !== null) return { raw: old, from: v, oldKey };
+    }
+    return null;
+  }
+
+  /** Read, migrate and validate. Returns { items, dropped } */
+  function load() {
+    const found = readPayload();
+    if (!found) return { items: [], dropped: [] };
+
+    const dropped = [];
+    let items = [];
+    let from = found.from;
+    let dirty = found.from !== null;
+
+    try {
+      const parsed = JSON.parse(found.raw);
+      if (from === null) {
+        if (!parsed || !Array.isArray(parsed.items) || !Number.isInteger(parsed.version)) {
+          throw new Error("missing version or items");
+        }
+        from = parsed.version;
+        items = parsed.items;
+      } else {
+        if (!Array.isArray(parsed)) throw new Error("expected an array");
+        items = parsed;
+      }
+      if (from > version) throw new Error(`unknown schema v${from}`);
+      if (from < version) {
+        items = migrate(items, from);
+        dirty = true;
+      }
+    } catch (err) {
+      dropped.push({ item: found.raw, reason: `Unreadable data: ${err.message}` });
+      items = [];
+      dirty = true;
+    }
+
+    const valid = [];
+    for (const item of items) {
+      const reason = validate(item);
+      if (reason) dropped.push({ item, reason });
+      else valid.push(item);
+    }
+
+    if (dropped.length) dirty = true;
+    if (dirty) {
+      writeRaw(key, JSON.stringify({ version, items: valid }));
+      if (found.oldKey) for (const oldKey of Object.keys(legacy)) removeRaw(oldKey);
+    }
+    if (dropped.length) onDrop(dropped);
+
+    return { items: valid, dropped };
+  }
+
+  function save(items) {
+    writeRaw(key, JSON.stringify({ version, items }));
+  }
+
+  /** Call fn(items) whenever another tab changes this key */
+  function watch(fn) {
+    if (typeof window === "undefined") return () => {};
+    const handler = (e) => {
+      if (e.key !== key && e.key !== null) return; // null = storage.clear()
+      fn(load().items);
+    };
+    window.addEventListener("storage", handler);
+    return () => window.removeEventListener("storage", handler);
+  }
+
+  return { key, version, load, save, watch };
+}
@@ -5,3 +5,19 @@ export function updateCartBadge(count) {
   badge.hidden = count <= 0;
 }
 
+//same for the saved-items count next to the heart in the header
+export function updateWishlistBadge(count) {
+  const badge = document.querySelector(".wishlist-count");
+  if (!badge) return;
+  badge.textContent = String(count);
+  badge.hidden = count <= 0;
+}
+
+//run fn only after calls stop for `wait` ms (e.g. search-as-you-type)
+export function debounce(fn, wait = 200) {
+  let timer;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}
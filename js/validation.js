@@ -0,0 +1,122 @@
+/**
+ * validation.js
+ * Checkout form rules (no DOM): card number (Luhn + brand), expiry,
+ * CVC length per brand, postcode per country, and the contact fields.
+ *
+ * validateCheckout(values) returns { fieldName: "message" } for every
+ * problem; an empty object means the form is good to submit. Messages are
+ * in the shopper's language (see i18n.js).
+ */
+
+import { t } from "./i18n.js";
+
+/** Card brands we recognise, by number prefix */
+const BRANDS = [
+  { brand: "amex", label: "American Express", test: /^3[47]/, lengths: [15], cvc: 4 },
+  { brand: "visa", label: "Visa", test: /^4/, lengths: [13, 16, 19], cvc: 3 },
+  { brand: "mastercard", label: "Mastercard", test: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16], cvc: 3 },
+  { brand: "discover", label: "Discover", test: /^(6011|65|64[4-9])/, lengths: [16, 19], cvc: 3 },
+];
+
+/** Postcode formats for the shipping countries in config.pricing.regions */
+const POSTCODES = {
+  US: { test: /^\d{5}(-\d{4})?$/, example: "12345 or 12345-6789" },
+  NO: { test: /^\d{4}$/, example: "0150" },
+  SE: { test: /^\d{3} ?\d{2}$/, example: "113 51" },
+  DK: { test: /^\d{4}$/, example: "2100" },
+  DE: { test: /^\d{5}$/, example: "10115" },
+  GB: { test: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i, example: "SW1A 1AA" },
+};
+
+export const digitsOnly = (value) => String(value ?? "").replace(/\D/g, "");
+
+/** Luhn (mod 10) checksum */
+export function luhn(number) {
+  const digits = digitsOnly(number);
+  if (!digits) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/** Brand info for a (partial) card number, or null if unknown */
+export function detectCardBrand(number) {
+  const digits = digitsOnly(number);
+  return BRANDS.find((b) => b.test.test(digits)) || null;
+}
+
+export function validateCardNumber(number) {
+  const raw = String(number ?? "").trim();
+  if (!raw) return t("validation.cardMissing");
+  if (/[^\d\s-]/.test(raw)) return t("validation.cardDigits");
+  const digits = digitsOnly(raw);
+  const brand = detectCardBrand(digits);
+  if (!brand) return t("validation.cardBrand");
+  if (!brand.lengths.includes(digits.length)) {
+    return t("validation.cardLength", { brand: brand.label, lengths: brand.lengths.join(t("validation.or")) });
+  }
+  if (!luhn(digits)) return t("validation.cardInvalid");
+  return null;
+}
+
+/** MM/YY, valid through the last day of that month */
+export function validateExpiry(value, now = new Date()) {
+  const m = String(value ?? "").trim().match(/^(\d{2})\s*\/\s*(\d{2})$/);
+  if (!m) return t("validation.expiryFormat");
+  const month = Number(m[1]);
+  const year = 2000 + Number(m[2]);
+  if (month < 1 || month > 12) return t("validation.expiryMonth");
+  const endOfMonth = new Date(year, month, 1); // first moment of the following month
+  if (endOfMonth <= now) return t("validation.expired");
+  return null;
+}
+
+export function validateCvc(value, cardNumber) {
+  const cvc = String(value ?? "").trim();
+  const length = detectCardBrand(cardNumber)?.cvc ?? 3;
+  if (!new RegExp(`^\\d{${length}}$`).test(cvc)) return t("validation.cvc", { length });
+  return null;
+}
+
+export function validatePostcode(value, country) {
+  const code = String(value ?? "").trim();
+  if (!code) return t("validation.zipMissing");
+  const rule = POSTCODES[String(country || "").toUpperCase()];
+  if (rule && !rule.test.test(code)) return t("validation.zip", { example: rule.example });
+  return null;
+}
+
+/**
+ * Validate every checkout field.
+ * @param {Record<string, string>} values  form values by input name
+ * @returns {Record<string, string>} messages by input name, in form order
+ */
+export function validateCheckout(values, now = new Date()) {
+  const errors = {};
+  const add = (field, message) => {
+    if (message) errors[field] = message;
+  };
+  const text = (f) => String(values[f] ?? "").trim();
+
+  add("name", text("name") ? null : t("validation.name"));
+  add(
+    "email",
+    !text("email") ? t("validation.emailMissing")
+      : /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text("email")) ? null
+      : t("validation.email")
+  );
+  add("address", text("address") ? null : t("validation.address"));
+  add("city", text("city") ? null : t("validation.city"));
+  add("zip", validatePostcode(values.zip, values.country));
+  add("cardnumber", validateCardNumber(values.cardnumber));
+  add("CardExpiry", validateExpiry(values.CardExpiry, now));
+  add("CardCvc", validateCvc(values.CardCvc, values.cardnumber));
+  return errors;
+}
@@ -0,0 +1,213 @@
+/**
+ * views.js
+ * View pieces shared by several pages: load errors and retry, notices,
+ * quantity-cap messages, prices and the totals breakdown.
+ */
+
+import { el, replace } from "./dom.js";
+import { acknowledgeCartChanges } from "./cart.js";
+import { config } from "./config.js";
+import { NotFoundError, NetworkError, BadShapeError, HttpError, isRetryable } from "./http.js";
+import { t, formatPrice, regionName } from "./i18n.js";
+
+/** Shopper-friendly text for the typed errors from http.js */
+export function describeError(err) {
+  if (err instanceof NetworkError) {
+    return err.timedOut ? t("error.timeout") : t("error.offline");
+  }
+  if (err instanceof NotFoundError) return t("error.notFound");
+  if (err instanceof BadShapeError) return t("error.badShape");
+  if (err instanceof HttpError) return t("error.server", { status: err.status });
+  return err?.message || t("error.generic");
+}
+
+/**
+ * Error view for a failed load, shown in place of the content.
+ * Failures that may go away (network, 5xx) get a Retry button.
+ */
+export function errorView(message, err, retry) {
+  const view = el(
+    "div",
+    { class: "load-error" },
+    el("p", { class: "error", role: "alert" }, `${message} ${describeError(err)}`)
+  );
+  if (retry && isRetryable(err)) {
+    view.appendChild(el("button", { class: "ghost", type: "button", onclick: retry }, t("common.retry")));
+  }
+  return view;
+}
+
+/** Why a quantity was capped (reason from limits.js) */
+export function limitMessage(reason, max) {
+  if (reason === "stock") return max > 0 ? t("limit.stock", { max }) : t("limit.soldOut");
+  if (reason === "product") return t("limit.product", { max });
+  if (reason === "order") return t("limit.order", { max: config.limits.perOrder });
+  return "";
+}
+
+/** One sentence per change found by reconcileWithCatalog (cart.js) */
+function changeText(c) {
+  const name = c.size ? t("change.withSize", { title: c.title, size: c.size }) : c.title;
+  if (c.type === "removed") return t("change.removed", { name });
+  if (c.type === "soldout") return t("change.soldout", { name });
+  if (c.type === "qty") {
+    const what = c.newQty
+      ? t("change.qtyLowered", { name, from: c.oldQty, to: c.newQty })
+      : t("change.qtyRemoved", { name });
+    return `${what} ${limitMessage(c.reason, c.max)}`;
+  }
+  if (c.type === "size") return t("change.size", { title: c.title, size: c.size });
+  return t("change.price", { name, from: formatPrice(c.oldPrice), to: formatPrice(c.newPrice) });
+}
+
+/**
+ * Show the pending cart-change report above a container (or remove it when
+ * there is nothing to report). Dismissing it acknowledges the changes.
+ */
+export function showChangeReport(anchor, changes) {
+  anchor.parentElement?.querySelector(".change-report")?.remove();
+  if (!changes.length) return;
+  const report = el(
+    "section",
+    { class: "notice change-report", role: "alert", "aria-labelledby": "change-report-heading" },
+    el("h2", { id: "change-report-heading" }, t("change.heading")),
+    el("ul", {}, changes.map((c) => el("li", {}, changeText(c)))),
+    el(
+      "button",
+      {
+        class: "ghost",
+        type: "button",
+        onclick: () => {
+          acknowledgeCartChanges();
+          report.remove();
+        },
+      },
+      t("change.ok")
+    )
+  );
+  anchor.before(report);
+}
+
+/**
+ * Show errorView in a container. Resolves to true when the shopper presses
+ * Retry, or to false once `signal` aborts (the page was left).
+ */
+export function waitForRetry(container, message, err, signal) {
+  if (signal?.aborted) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    const onAbort = () => resolve(false);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    replace(container, errorView(message, err, () => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(true);
+    }));
+  });
+}
+
+/** Show or remove the "prices may be outdated" notice above a container */
+export function showStaleNotice(anchor, stale) {
+  const existing = anchor.parentElement?.querySelector(".stale-notice");
+  if (!stale) {
+    existing?.remove();
+    return;
+  }
+  if (existing) {
+    existing.textContent = t("list.stale");
+    return;
+  }
+  anchor.before(
+    el(
+      "p",
+      { class: "notice stale-notice", role: "status" },
+      t("list.stale")
+    )
+  );
+}
+
+/** "$80.00", or a struck-through original next to the sale price */
+export function priceLabel(price, originalPrice) {
+  if (!(originalPrice > price)) return formatPrice(price);
+  return el(
+    "span",
+    { class: "price__sale" },
+    el("s", { class: "price__was" }, el("span", { class: "sr-only" }, t("price.was")), formatPrice(originalPrice)),
+    " ",
+    el("span", { class: "price__now" }, el("span", { class: "sr-only" }, t("price.now")), formatPrice(price))
+  );
+}
+
+/** Price line; products that failed the price check never show $0.00 */
+export function priceElement(p) {
+  if (!p.purchasable) return el("p", { class: "price price--unavailable" }, t("price.unavailable"));
+  return el(
+    "p",
+    { class: "price" },
+    priceLabel(p.price, p.originalPrice),
+    p.onSale ? [" ", el("span", { class: "sale-badge" }, `-${p.discountPercent}%`)] : []
+  );
+}
+
+/** Fill a "You saved" row; hidden when nothing was saved */
+function showSavings(rowEl, valueEl, amount) {
+  if (!rowEl || !valueEl) return;
+  valueEl.textContent = formatPrice(amount);
+  rowEl.hidden = !(amount > 0);
+}
+
+/**
+ * Write a priceCart() breakdown into a page's summary rows.
+ * prefix "cart" → #cart-subtotal, #cart-shipping…; "co" → #co-subtotal…
+ */
+export function renderBreakdown(prefix, totals) {
+  const byName = (name) => document.getElementById(`${prefix}-${name}`);
+  const set = (name, text) => {
+    const node = byName(name);
+    if (node) node.textContent = text;
+  };
+
+  set("subtotal", formatPrice(totals.subtotal));
+  showSavings(byName("savings-row"), byName("savings"), totals.savings);
+
+  const discountRow = byName("discount-row");
+  if (discountRow) discountRow.hidden = !(totals.discount > 0);
+  set("discount-label", totals.promo.code ? t("summary.promoCode", { code: totals.promo.code }) : t("summary.promo"));
+  set("discount", `−${formatPrice(totals.discount)}`);
+
+  set("shipping", totals.itemCount && totals.shipping === 0 ? t("summary.free") : formatPrice(totals.shipping));
+  const hint = byName("shipping-hint");
+  if (hint) {
+    hint.hidden = !(totals.freeShippingRemaining > 0);
+    hint.textContent = t("summary.freeShippingHint", { amount: formatPrice(totals.freeShippingRemaining) });
+  }
+
+  const { taxRate, code } = totals.region;
+  set(
+    "tax-label",
+    taxRate
+      ? t("summary.taxRegion", { rate: Math.round(taxRate * 100), region: regionName(code) })
+      : t("summary.estimatedTax")
+  );
+  set("tax", formatPrice(totals.tax));
+  set("total", formatPrice(totals.total));
+}
+
+/** Shopper-facing text for a promo result from pricing.js (null = say nothing) */
+export function promoMessage(result) {
+  if (!result.code) return null;
+  const { code } = result;
+  if (result.error === "unknown") return t("promo.unknown", { code });
+  if (result.error === "expired") return t("promo.expired", { code });
+  if (result.error === "min-spend") return t("promo.minSpend", { code, amount: formatPrice(result.minSpend) });
+  return t("promo.applied", { code });
+}
+
+/** Fill a region <select> from config.pricing.regions (names in the shopper's language) */
+export function fillRegionSelect(select, current) {
+  if (!select) return;
+  const { regions, defaultRegion } = config.pricing;
+  replace(
+    select,
+    Object.keys(regions).map((code) => el("option", { value: code }, regionName(code)))
+  );
+  select.value = regions[current] ? current : defaultRegion;
+}
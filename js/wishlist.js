@@ -0,0 +1,110 @@
+import { createStore } from "./storage.js";
+import { lineKey, getCart, saveCart, addToCart } from "./cart.js";
+import { lineLimit } from "./limits.js";
+import { emit } from "./events.js";
+
+//jackets parked for later; same line shape and keys as the cart so items move both ways
+//schema v1: [{ id, size, qty, price, title }]
+const store = createStore({
+  key: "rainydays_wishlist",
+  version: 1,
+  validate: validateItem,
+  onDrop(dropped) {
+    console.warn("Wishlist: dropped invalid items", dropped);
+  },
+});
+
+//return a reason string for a bad item, null when it is fine
+function validateItem(item) {
+  if (!item || typeof item !== "object") return "Item is not an object";
+  if (typeof item.id !== "string" || !item.id) return "Missing product id";
+  if (typeof item.size !== "string") return "Size must be a string";
+  if (!Number.isInteger(item.qty) || item.qty < 1) return `Invalid quantity: ${item.qty}`;
+  if (item.price !== null && !(typeof item.price === "number" && item.price >= 0)) return `Invalid price: ${item.price}`;
+  if (typeof item.title !== "string") return "Title must be a string";
+  return null;
+}
+
+//read the wishlist from storage (validated)
+export function getWishlist() {
+  return store.load().items;
+}
+//save the wishlist back to storage
+export function saveWishlist(items) {
+  store.save(items);
+  emit("wishlist:updated", { items });
+}
+
+//number of saved items (lines, not units: the header shows how many jackets are parked)
+export function getWishlistCount() {
+  return getWishlist().length;
+}
+
+//is the product saved in any size?
+export function isWishlisted(productId) {
+  return getWishlist().some(i => i.id === productId);
+}
+
+//save a product (in a given size); an existing line keeps the larger quantity
+//details: { price, title } as shown to the shopper
+export function addToWishlist(productId, size = "", qty = 1, details = {}) {
+  const items = getWishlist();
+  const key = lineKey(productId, size);
+  const found = items.find(i => lineKey(i.id, i.size) === key);
+  const price = typeof details.price === "number" ? details.price : null;
+  if (found) {
+    found.qty = Math.max(found.qty, qty);
+    if (price !== null) found.price = price;
+  }
+  else items.push({ id: productId, size: String(size || "").toUpperCase(), qty, price, title: details.title || "" });
+  saveWishlist(items);
+}
+
+//key comes from lineKey(id, size)
+export function removeFromWishlist(key) {
+  saveWishlist(getWishlist().filter(i => lineKey(i.id, i.size) !== key));
+}
+
+//heart button: save the product, or forget it in every size; returns true when now saved
+export function toggleWishlist(productId, size = "", details = {}) {
+  if (isWishlisted(productId)) {
+    saveWishlist(getWishlist().filter(i => i.id !== productId));
+    return false;
+  }
+  addToWishlist(productId, size, 1, details);
+  return true;
+}
+
+//"Save for later": move a cart line (size, quantity and all) to the wishlist
+export function saveForLater(cartKey) {
+  const items = getCart();
+  const line = items.find(i => lineKey(i.id, i.size) === cartKey);
+  if (!line) return;
+  addToWishlist(line.id, line.size, line.qty, line);
+  saveCart(items.filter(i => i !== line));
+}
+
+//move a wishlist line into the cart at the product's current price and title;
+//whatever the quantity caps refuse stays saved (see lineLimit in limits.js)
+//product: the live catalog entry. Returns addToCart's { qty, added, reason, max }
+export function moveToCart(key, product) {
+  const items = getWishlist();
+  const item = items.find(i => lineKey(i.id, i.size) === key);
+  if (!item) return null;
+  const result = addToCart(item.id, item.qty, item.size, {
+    price: product.price,
+    title: product.title,
+    limit: lineLimit(product, item.size),
+  });
+  if (result.added >= item.qty) saveWishlist(items.filter(i => i !== item));
+  else if (result.added) {
+    item.qty -= result.added;
+    saveWishlist(items);
+  }
+  return result;
+}
+
+//changes made in another tab arrive as "storage" events; re-broadcast them locally
+store.watch((items) => {
+  emit("wishlist:updated", { items, external: true });
+});
@@ -0,0 +1,161 @@
+/**
+ * sw.js
+ * Service worker: the shop keeps working without a network.
+ *
+ * - Install: precache every page, styles/, js/ and the fixture data.
+ * - Pages: network first, cached copy when offline.
+ * - Own scripts, styles, data and other same-origin files: cached copy first,
+ *   refreshed in the background (stale-while-revalidate).
+ * - Product API responses (?api=<origin>, see js/offline.js): network first, cache as fallback.
+ * - Images, web fonts and CDN stylesheets: cache first, filled at runtime.
+ * - Anything that is not a GET (placing an order) is never touched.
+ *
+ * Bump VERSION whenever PRECACHE changes; old caches are removed on activate.
+ */
+
+const VERSION = "v2";
+const PRECACHE = `rainydays-precache-${VERSION}`;
+const RUNTIME = `rainydays-runtime-${VERSION}`;
+const API = `rainydays-api-${VERSION}`;
+const RUNTIME_LIMIT = 80; // cached images/fonts before the oldest go
+
+const API_ORIGINS = new URL(self.location.href).searchParams.getAll("api");
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "products.html",
+  "product.html",
+  "cart.html",
+  "checkout.html",
+  "order.html",
+  "orders.html",
+  "wishlist.html",
+  "styles/variables.css",
+  "styles/main.css",
+  "js/analytics.js",
+  "js/app.js",
+  "js/cart.js",
+  "js/catalog.js",
+  "js/config.js",
+  "js/dom.js",
+  "js/events.js",
+  "js/filters.js",
+  "js/grid.js",
+  "js/http.js",
+  "js/i18n.js",
+  "js/limits.js",
+  "js/locales/en.js",
+  "js/locales/nb.js",
+  "js/offline.js",
+  "js/orders.js",
+  "js/pages/cart.js",
+  "js/pages/catalog.js",
+  "js/pages/checkout.js",
+  "js/pages/detail.js",
+  "js/pages/list.js",
+  "js/pages/order.js",
+  "js/pages/orders.js",
+  "js/pages/wishlist.js",
+  "js/pricing.js",
+  "js/product.js",
+  "js/recent.js",
+  "js/recommend.js",
+  "js/reconcile.js",
+  "js/router.js",
+  "js/search.js",
+  "js/sources.js",
+  "js/storage.js",
+  "js/ui.js",
+  "js/validation.js",
+  "js/views.js",
+  "js/wishlist.js",
+  "data/products.json",
+  "data/rates.json",
+  "images/Foss.jpg",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(PRECACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [PRECACHE, RUNTIME, API];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((n) => !keep.includes(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/** Store a good response (opaque CDN responses included) */
+async function put(cacheName, key, response) {
+  if (!response || !(response.ok || response.type === "opaque")) return response;
+  const cache = await caches.open(cacheName);
+  await cache.put(key, response.clone());
+  return response;
+}
+
+/** Keep a runtime cache to `limit` entries, oldest first out */
+async function trim(cacheName, limit) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+}
+
+/** A page load, or the router fetching a page to swap in */
+function isPage(request) {
+  return request.mode === "navigate" || (request.headers.get("Accept") || "").includes("text/html");
+}
+
+/** Fresh from the network, stored under `key`; the stored copy when offline */
+async function networkFirst(request, cacheName, key = request) {
+  try {
+    return await put(cacheName, key, await fetch(request));
+  } catch (err) {
+    const cached = await caches.match(key);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const cached = await caches.match(event.request);
+  const fresh = fetch(event.request).then((res) => put(cacheName, event.request, res));
+  if (!cached) return fresh;
+  event.waitUntil(fresh.catch(() => {})); // offline: the cached copy is all there is
+  return cached;
+}
+
+async function cacheFirst(event, cacheName) {
+  const cached = await caches.match(event.request);
+  if (cached) return cached;
+  const response = await put(cacheName, event.request, await fetch(event.request));
+  event.waitUntil(trim(cacheName, RUNTIME_LIMIT));
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (isPage(request) && sameOrigin) {
+    // Pages read their state from the query (?id=…): one cached copy per page
+    event.respondWith(networkFirst(request, PRECACHE, url.pathname));
+  } else if (API_ORIGINS.includes(url.origin)) {
+    event.respondWith(networkFirst(request, API));
+  } else if (request.destination === "image" || (!sameOrigin && ["font", "style"].includes(request.destination))) {
+    event.respondWith(cacheFirst(event, RUNTIME));
+  } else if (sameOrigin) {
+    event.respondWith(staleWhileRevalidate(event, PRECACHE));
+  }
+});
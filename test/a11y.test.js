@@ -0,0 +1,116 @@
+// Accessibility of the cart, checkout and product page: axe-core, focus and live announcements
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadPage, mount, waitFor, fill, fixture, checkA11y, describeViolations } from "./helpers/dom.js";
+import * as cartPage from "../js/pages/cart.js";
+import * as checkoutPage from "../js/pages/checkout.js";
+import * as detailPage from "../js/pages/detail.js";
+import { addToCart, getCart, lineKey } from "../js/cart.js";
+import { buildLines, priceCart } from "../js/pricing.js";
+import { normalizeProducts } from "../js/product.js";
+import { formatPrice } from "../js/i18n.js";
+
+const products = normalizeProducts(fixture);
+const byId = new Map(products.map((p) => [p.id, p]));
+const akra = products.find((p) => p.title.includes("Akra"));
+const thunderbolt = products.find((p) => p.title.includes("Thunderbolt"));
+
+beforeEach(() => {
+  globalThis.localStorage?.clear();
+});
+
+async function mountCart() {
+  loadPage("cart.html");
+  addToCart(akra.id, 1, "M", { price: akra.price, title: akra.title });
+  addToCart(thunderbolt.id, 1, "L", { price: thunderbolt.price, title: thunderbolt.title });
+  return mount(cartPage);
+}
+
+test("cart page has no axe violations", async () => {
+  const page = await mountCart();
+  const violations = await checkA11y();
+  assert.equal(violations.length, 0, describeViolations(violations));
+  page.unmount();
+});
+
+test("checkout page has no axe violations, before and after a failed submit", async () => {
+  loadPage("checkout.html");
+  addToCart(akra.id, 1, "M", { price: akra.price, title: akra.title });
+  const page = await mount(checkoutPage);
+  await waitFor(() => document.querySelector("#checkout-list .cart-line"));
+  let violations = await checkA11y();
+  assert.equal(violations.length, 0, describeViolations(violations));
+
+  document.getElementById("checkout-form").requestSubmit();
+  violations = await checkA11y();
+  assert.equal(violations.length, 0, describeViolations(violations));
+  page.unmount();
+});
+
+test("product page with its recommendation strips has no axe violations", async () => {
+  loadPage("product.html", `?id=${akra.id}`);
+  const page = await mount(detailPage);
+  await waitFor(() => document.querySelector(".product-strip .card"));
+  const violations = await checkA11y();
+  assert.equal(violations.length, 0, describeViolations(violations));
+  page.unmount();
+});
+
+test("typing a quantity keeps focus in the same input and announces the new total", async () => {
+  const page = await mountCart();
+  const line = document.querySelector(`.cart-line[data-key="${lineKey(akra.id, "M")}"]`);
+  const input = line.querySelector("input[type='number']");
+  input.focus();
+  fill(input, "3");
+
+  assert.equal(getCart()[0].qty, 3);
+  assert.equal(document.activeElement, input);
+  assert.ok(input.isConnected);
+  assert.ok(document.activeElement.matches(".cart-line input"));
+
+  const total = formatPrice(priceCart(buildLines(getCart(), byId), {}).total);
+  const said = await waitFor(() => document.querySelector(".live-region")?.textContent);
+  assert.equal(said, `Quantity updated, total ${total}`);
+  page.unmount();
+});
+
+test("arrow keys on the quantity controls step the quantity", async () => {
+  const page = await mountCart();
+  const line = () => document.querySelector(`.cart-line[data-key="${lineKey(akra.id, "M")}"]`);
+  const plus = line().querySelector(".incr");
+  plus.focus();
+  plus.dispatchEvent(new KeyboardEvent("keydown", { key: "ArrowUp", bubbles: true }));
+  plus.dispatchEvent(new KeyboardEvent("keydown", { key: "ArrowRight", bubbles: true }));
+  assert.equal(getCart()[0].qty, 3);
+  assert.equal(document.activeElement, plus);
+
+  plus.dispatchEvent(new KeyboardEvent("keydown", { key: "Home", bubbles: true }));
+  assert.equal(getCart()[0].qty, 1);
+  page.unmount();
+});
+
+test("removing a line moves focus to the line that takes its place", async () => {
+  const page = await mountCart();
+  const remove = document.querySelector(`.cart-line[data-key="${lineKey(akra.id, "M")}"] .remove`);
+  remove.focus();
+  remove.click();
+  const next = document.querySelector(`.cart-line[data-key="${lineKey(thunderbolt.id, "L")}"] input[type='number']`);
+  assert.equal(document.activeElement, next);
+  page.unmount();
+});
+
+test("submitting an invalid checkout focuses the first invalid field", async () => {
+  loadPage("checkout.html");
+  addToCart(akra.id, 1, "M", { price: akra.price, title: akra.title });
+  const page = await mount(checkoutPage);
+  await waitFor(() => document.querySelector("#checkout-list .cart-line"));
+  const form = document.getElementById("checkout-form");
+  fill(form.elements.name, "Kari Nordmann");
+  fill(form.elements.email, "not-an-email");
+
+  form.requestSubmit();
+  assert.equal(document.activeElement, form.elements.email);
+  assert.equal(form.elements.email.getAttribute("aria-invalid"), "true");
+  assert.equal(document.getElementById("checkout-error").hidden, false);
+  page.unmount();
+});
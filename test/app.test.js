@@ -0,0 +1,33 @@
+// The shell (app.js) on the products page; its module runs once, so this file holds one test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPage, waitFor } from "./helpers/dom.js";
+
+test("the shell renders before the exchange rates arrive and re-renders prices when they do", { timeout: 10000 }, async () => {
+  loadPage("products.html");
+  localStorage.setItem("rainydays_locale", JSON.stringify({ language: "en", currency: "NOK" }));
+  let answerRates;
+  const rates = new Promise((resolve) => (answerRates = resolve));
+  const fetched = [];
+  globalThis.fetch = (url) => {
+    fetched.push(String(url));
+    return rates;
+  };
+
+  // The import would not settle if the shell waited for the rates
+  await import("../js/app.js");
+  assert.ok(fetched.some((url) => url.includes("rates.json")));
+  const currencies = () => [...document.getElementById("currency-select").options].map((o) => o.value);
+  assert.deepEqual(currencies(), ["USD"]);
+  const firstPrice = () => document.querySelector("#list .card .price")?.textContent;
+  await waitFor(firstPrice);
+  assert.match(firstPrice(), /\$/);
+
+  const table = { base: "USD", rates: { USD: 1, EUR: 0.92, NOK: 10.65 } };
+  answerRates(new Response(JSON.stringify(table), { status: 200, headers: { "Content-Type": "application/json" } }));
+  await waitFor(() => currencies().length > 1);
+  assert.deepEqual(currencies(), ["USD", "EUR", "NOK"]);
+  assert.equal(document.getElementById("currency-select").value, "NOK");
+  await waitFor(() => firstPrice()?.includes("NOK"));
+  assert.deepEqual(JSON.parse(localStorage.getItem("rainydays_rates")), { USD: 1, EUR: 0.92, NOK: 10.65 });
+});
@@ -0,0 +1,150 @@
+import "./helpers/storage.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addToCart,
+  getCart,
+  getCartCount,
+  lineKey,
+  setCartQty,
+  removeFromCart,
+  clearCart,
+  undoCart,
+  getUndoCommand,
+  getCartIssues,
+} from "../js/cart.js";
+import { lineLimit } from "../js/limits.js";
+import { reconcileCart } from "../js/reconcile.js";
+import { config } from "../js/config.js";
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test("addToCart adds a line per product and size, and bumps an existing one", () => {
+  assert.deepEqual(addToCart("a", 1, "m", { price: 10, title: "A" }), { qty: 1, added: 1, reason: null, max: null });
+  addToCart("a", 2, "M", { price: 10, title: "A" });
+  addToCart("a", 1, "L", { price: 10, title: "A" });
+  assert.deepEqual(getCart(), [
+    { id: "a", size: "M", qty: 3, price: 10, title: "A" },
+    { id: "a", size: "L", qty: 1, price: 10, title: "A" },
+  ]);
+  assert.equal(getCartCount(), 4);
+});
+
+test("addToCart caps a product at config.limits.perProduct across sizes", () => {
+  const { perProduct } = config.limits;
+  addToCart("a", perProduct - 1, "S");
+  assert.deepEqual(addToCart("a", 5, "M"), { qty: 1, added: 1, reason: "product", max: perProduct });
+  assert.deepEqual(addToCart("a", 1, "L"), { qty: 0, added: 0, reason: "product", max: perProduct });
+  assert.equal(getCartCount(), perProduct);
+});
+
+test("addToCart caps at the stock passed as the limit", () => {
+  const limit = { max: 3, reason: "stock" };
+  assert.deepEqual(addToCart("a", 5, "", { limit }), { qty: 3, added: 3, reason: "stock", max: 3 });
+  assert.deepEqual(addToCart("a", 1, "", { limit }), { qty: 3, added: 0, reason: "stock", max: 3 });
+});
+
+test("addToCart caps the whole order at config.limits.perOrder", () => {
+  const { perOrder } = config.limits;
+  addToCart("a", perOrder - 1, "", { limit: { max: perOrder, reason: "product" } });
+  assert.deepEqual(addToCart("b", 5), { qty: 1, added: 1, reason: "order", max: perOrder });
+  assert.deepEqual(addToCart("c", 1), { qty: 0, added: 0, reason: "order", max: perOrder });
+  assert.equal(getCartCount(), perOrder);
+});
+
+test("setCartQty clamps to the cap and to at least 1", () => {
+  addToCart("a", 2, "M");
+  const key = lineKey("a", "M");
+  assert.deepEqual(setCartQty(key, 5, { max: 4, reason: "stock" }), { qty: 4, reason: "stock", max: 4 });
+  assert.deepEqual(setCartQty(key, 0), { qty: 1, reason: null, max: null });
+  assert.deepEqual(setCartQty(key, "3.7"), { qty: 3, reason: null, max: null });
+  assert.equal(setCartQty(lineKey("nope"), 2), null);
+});
+
+test("a size with its own stock caps its line; the product cap still counts every size", () => {
+  const product = { stock: 25, sizeStock: { L: 3, M: 8 } };
+  addToCart("a", 6, "M", { limit: lineLimit(product, "M") });
+  assert.deepEqual(addToCart("a", 5, "L", { limit: lineLimit(product, "L") }), { qty: 3, added: 3, reason: "stock", max: 3 });
+  assert.deepEqual(setCartQty(lineKey("a", "M"), 8, lineLimit(product, "M")), { qty: 7, reason: "product", max: config.limits.perProduct });
+});
+
+test("reconcileCart drops lines whose size sold out and lowers lines to the size's stock", () => {
+  const akra = { id: "akra", title: "Akra", price: 100, stock: 25, sizes: ["XS", "S", "L"], sizeStock: { XS: 0, S: 12, L: 3 } };
+  const byId = new Map([[akra.id, akra]]);
+  const { items, changes } = reconcileCart(
+    [
+      { id: "akra", size: "XS", qty: 50, price: 100 },
+      { id: "akra", size: "L", qty: 5, price: 100 },
+      { id: "akra", size: "S", qty: 12, price: 100 },
+    ],
+    byId
+  );
+  assert.deepEqual(items.map((l) => [l.size, l.qty]), [["L", 3], ["S", 7]]);
+  assert.deepEqual(
+    changes.map((c) => [c.type, c.size, c.newQty, c.reason]),
+    [
+      ["soldout", "XS", undefined, undefined],
+      ["qty", "L", 3, "stock"],
+      ["qty", "S", 7, "product"],
+    ]
+  );
+});
+
+test("removeFromCart and clearCart can be undone", () => {
+  addToCart("a", 1, "", { title: "Akra" });
+  addToCart("b", 2, "", { title: "Bolt" });
+  const before = getCart();
+
+  removeFromCart(lineKey("b"));
+  assert.deepEqual(getCart().map((l) => l.id), ["a"]);
+  assert.deepEqual(getUndoCommand(), { type: "remove", title: "Bolt" });
+  assert.deepEqual(undoCart(), { type: "remove", title: "Bolt" });
+  assert.deepEqual(getCart(), before);
+
+  clearCart();
+  assert.deepEqual(getCart(), []);
+  assert.deepEqual(undoCart(), { type: "clear", title: "" });
+  assert.deepEqual(getCart(), before);
+});
+
+test("undoCart does nothing when the cart changed some other way since", () => {
+  addToCart("a", 1);
+  addToCart("b", 1);
+  removeFromCart(lineKey("a"));
+  setCartQty(lineKey("b"), 3);
+  assert.equal(undoCart(), null);
+  assert.deepEqual(getCart().map((l) => [l.id, l.qty]), [["b", 3]]);
+  assert.equal(getUndoCommand(), null);
+});
+
+test("a v1 cart is migrated to v3 and the legacy key removed", () => {
+  localStorage.setItem("rainydays_cart_v1", JSON.stringify([{ id: "a", qty: 2 }, { id: "b", qty: 1 }]));
+  assert.deepEqual(getCart(), [
+    { id: "a", qty: 2, size: "", price: null, title: "" },
+    { id: "b", qty: 1, size: "", price: null, title: "" },
+  ]);
+  assert.equal(localStorage.getItem("rainydays_cart_v1"), null);
+  assert.equal(JSON.parse(localStorage.getItem("rainydays_cart")).version, 3);
+});
+
+test("a v2 cart is migrated to v3", () => {
+  localStorage.setItem("rainydays_cart_v2", JSON.stringify([{ id: "a", size: "M", qty: 1 }]));
+  assert.deepEqual(getCart(), [{ id: "a", size: "M", qty: 1, price: null, title: "" }]);
+});
+
+test("invalid saved lines are dropped and reported", () => {
+  localStorage.setItem(
+    "rainydays_cart",
+    JSON.stringify({ version: 3, items: [{ id: "a", size: "", qty: 1, price: 5, title: "A" }, { id: "b", size: "", qty: 0, price: 5, title: "B" }] })
+  );
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual(getCart().map((l) => l.id), ["a"]);
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(getCartIssues()[0].reason, "Invalid quantity: 0");
+});
@@ -0,0 +1,90 @@
+import "./helpers/storage.js";
+import { readFileSync } from "node:fs";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadCatalogPaged } from "../js/catalog.js";
+import { createMemorySource, fetchPages, setSource } from "../js/sources.js";
+
+const raw = JSON.parse(readFileSync(new URL("../data/products.json", import.meta.url), "utf8")).data;
+
+/** A memory source that records which pages were asked for */
+function countingSource() {
+  const source = createMemorySource(raw);
+  const pages = [];
+  return {
+    ...source,
+    pages,
+    page(opts) {
+      pages.push(opts.page);
+      return source.page(opts);
+    },
+  };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test("fetchPages keeps at most `concurrency` requests running and returns pages in order", async () => {
+  let running = 0;
+  let most = 0;
+  const results = await fetchPages(
+    async (n) => {
+      running++;
+      most = Math.max(most, running);
+      await new Promise((resolve) => setTimeout(resolve, 10 - n)); // later pages answer first
+      running--;
+      return n;
+    },
+    2,
+    9,
+    3
+  );
+  assert.deepEqual(results, [2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(most, 3);
+});
+
+test("fetchPages stops starting requests after a failure", async () => {
+  const asked = [];
+  const fetchPage = async (n) => {
+    asked.push(n);
+    if (n === 2) throw new Error("boom");
+    return n;
+  };
+  await assert.rejects(fetchPages(fetchPage, 1, 10, 2), /boom/);
+  assert.ok(asked.length < 10, `asked for ${asked}`);
+});
+
+test("loadCatalogPaged fetches the first page, then one page per more()", async () => {
+  const source = countingSource();
+  setSource(source);
+  const catalog = await loadCatalogPaged({ limit: 3 });
+  assert.equal(catalog.products.length, 3);
+  assert.equal(catalog.total, raw.length);
+  assert.equal(catalog.complete(), false);
+
+  await catalog.more();
+  assert.deepEqual(source.pages, [1, 2]);
+  assert.equal(catalog.products.length, 6);
+
+  await catalog.more();
+  assert.equal(catalog.complete(), true);
+  assert.deepEqual(catalog.products.map((p) => p.id), raw.map((p) => p.id));
+});
+
+test("loadCatalogPaged rest() fetches the remaining pages and caches the catalog", async () => {
+  const source = countingSource();
+  setSource(source);
+  const catalog = await loadCatalogPaged({ limit: 2 });
+  await Promise.all([catalog.more(), catalog.rest(), catalog.rest()]);
+  assert.deepEqual(source.pages.slice().sort(), [1, 2, 3, 4]);
+  assert.deepEqual(catalog.products.map((p) => p.id), raw.map((p) => p.id));
+
+  // Next load comes from the cache, with no page requests
+  const again = countingSource();
+  setSource({ ...again, name: source.name });
+  const cached = await loadCatalogPaged({ limit: 2 });
+  assert.equal(cached.complete(), true);
+  assert.equal(cached.products.length, raw.length);
+  assert.deepEqual(again.pages, []);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_FILTERS, applyFilters, parseFilters, serializeFilters } from "../js/filters.js";
+import { normalizeProducts } from "../js/product.js";
+
+const products = normalizeProducts([
+  { id: "a", title: "Akra Jacket", gender: "Female", sizes: ["S", "M"], price: 140, created: "2024-01-01" },
+  { id: "b", title: "Thunderbolt Shell", gender: "Male", sizes: ["L"], price: 160, discountedPrice: 130, created: "2024-05-01" },
+  { id: "c", title: "Drizzle Poncho", gender: "Unisex", sizes: ["M"], price: 60, created: "2024-03-01" },
+  { id: "d", title: "Storm Parka", gender: "Male", sizes: ["M", "XL"], price: 220, created: "2023-11-01" },
+]);
+const ids = (list) => list.map((p) => p.id);
+
+test("parseFilters reads and cleans a query string", () => {
+  assert.deepEqual(parseFilters("?gender=WOMEN&size=m&q=+shell+&sort=price-asc&min=50&max=abc&onsale=1"), {
+    gender: "women",
+    size: "M",
+    q: "shell",
+    sort: "price-asc",
+    min: 50,
+    max: null,
+    onsale: true,
+  });
+  assert.deepEqual(parseFilters(""), { ...DEFAULT_FILTERS });
+  assert.equal(parseFilters("?gender=kids&sort=random").gender, "");
+  assert.equal(parseFilters("?sort=random").sort, "");
+});
+
+test("serializeFilters leaves defaults out and keeps unrelated params", () => {
+  assert.equal(serializeFilters(DEFAULT_FILTERS), "");
+  assert.equal(
+    serializeFilters({ ...DEFAULT_FILTERS, gender: "men", min: 0, onsale: true }, "?source=fixture&size=S"),
+    "?source=fixture&gender=men&min=0&onsale=1"
+  );
+});
+
+test("serializeFilters and parseFilters round-trip", () => {
+  const state = { gender: "women", size: "XL", q: "rain coat", sort: "newest", min: 10, max: 99.5, onsale: true };
+  assert.deepEqual(parseFilters(serializeFilters(state)), state);
+});
+
+test("applyFilters includes unisex products for either gender", () => {
+  assert.deepEqual(ids(applyFilters(products, { gender: "women" })), ["a", "c"]);
+  assert.deepEqual(ids(applyFilters(products, { gender: "men" })), ["b", "c", "d"]);
+});
+
+test("applyFilters by size, price range and sale", () => {
+  assert.deepEqual(ids(applyFilters(products, { size: "m" })), ["a", "c", "d"]);
+  assert.deepEqual(ids(applyFilters(products, { min: 100, max: 150 })), ["a", "b"]);
+  assert.deepEqual(ids(applyFilters(products, { onsale: true })), ["b"]);
+});
+
+test("applyFilters sorts without changing the input", () => {
+  assert.deepEqual(ids(applyFilters(products, { sort: "price-asc" })), ["c", "b", "a", "d"]);
+  assert.deepEqual(ids(applyFilters(products, { sort: "price-desc" })), ["d", "a", "b", "c"]);
+  assert.deepEqual(ids(applyFilters(products, { sort: "newest" })), ["b", "c", "a", "d"]);
+  assert.deepEqual(ids(applyFilters(products, { sort: "title" })), ["a", "c", "d", "b"]);
+  assert.deepEqual(ids(products), ["a", "b", "c", "d"]);
+});
+
+test("applyFilters searches titles, combined with the other filters", () => {
+  assert.deepEqual(ids(applyFilters(products, { q: "parka" })), ["d"]);
+  assert.deepEqual(ids(applyFilters(products, { q: "parka", gender: "women" })), []);
+});
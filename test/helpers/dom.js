@@ -0,0 +1,121 @@
+/**
+ * helpers/dom.js
+ * Run the site's pages in jsdom: loadPage() parses one of the HTML files and
+ * makes its window, document and storage the globals the modules in js/ use.
+ * Products come from data/products.json through createMemorySource.
+ *
+ * localStorage is carried over from the previous page, like one browser tab
+ * going from cart.html to checkout.html. Each test file runs in its own
+ * process (node --test), so files never share state.
+ */
+
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { JSDOM } from "jsdom";
+import { setSource, createMemorySource } from "../../js/sources.js";
+
+const ROOT = new URL("../../", import.meta.url);
+
+/** Raw products from the fixture, in the API shape */
+export const fixture = JSON.parse(readFileSync(new URL("data/products.json", ROOT), "utf8")).data;
+
+// Window properties the modules reach for as globals
+const GLOBALS = [
+  "window",
+  "document",
+  "location",
+  "history",
+  "navigator",
+  "localStorage",
+  "sessionStorage",
+  "Node",
+  "Element",
+  "HTMLElement",
+  "HTMLInputElement",
+  "RadioNodeList",
+  "Event",
+  "CustomEvent",
+  "KeyboardEvent",
+  "MouseEvent",
+  "FocusEvent",
+  "InputEvent",
+  "AbortController",
+  "AbortSignal",
+  "DOMParser",
+  "FormData",
+  "getComputedStyle",
+  "requestAnimationFrame",
+];
+
+/**
+ * Load `file` (e.g. "cart.html") at http://localhost/<file><search>.
+ * @returns {JSDOM}
+ */
+export function loadPage(file, search = "", { products = fixture } = {}) {
+  const html = readFileSync(new URL(file, ROOT), "utf8");
+  const previous = globalThis.localStorage;
+  const saved = Array.from({ length: previous?.length ?? 0 }, (_, i) => previous.key(i));
+  // outside-only: the page's own <script>s stay off, tests can still eval (see checkA11y)
+  const dom = new JSDOM(html, { url: `http://localhost/${file}${search}`, pretendToBeVisual: true, runScripts: "outside-only" });
+  const { window } = dom;
+  window.scrollTo = () => {}; // not implemented by jsdom
+  for (const key of saved) window.localStorage.setItem(key, previous.getItem(key));
+
+  for (const name of GLOBALS) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+  }
+  setSource(createMemorySource(products));
+  return dom;
+}
+
+/**
+ * Mount a page module the way the router does.
+ * @returns {{ signal: AbortSignal, navigated: string[], unmount: () => void }}
+ */
+export async function mount(page) {
+  const controller = new AbortController();
+  const navigated = [];
+  await page.mount({
+    signal: controller.signal,
+    url: new URL(location.href),
+    navigate: (href) => navigated.push(href),
+  });
+  return { signal: controller.signal, navigated, unmount: () => controller.abort() };
+}
+
+/** Resolve with check()'s value once it is truthy; reject after `timeout` ms */
+export async function waitFor(check, { timeout = 2000, interval = 10 } = {}) {
+  const until = Date.now() + timeout;
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error(`waitFor: timed out after ${timeout} ms`);
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+/** Type into a field: set the value and fire input + change like a browser */
+export function fill(input, value) {
+  input.value = value;
+  input.dispatchEvent(new window.Event("input", { bubbles: true }));
+  input.dispatchEvent(new window.Event("change", { bubbles: true }));
+}
+
+const axeSource = readFileSync(createRequire(import.meta.url).resolve("axe-core/axe.min.js"), "utf8");
+
+/**
+ * Run axe-core over the current page; resolves to its violations.
+ * Colour contrast needs real layout, which jsdom does not do, so it is left out.
+ */
+export async function checkA11y(context = document) {
+  if (!window.axe) window.eval(axeSource);
+  const { violations } = await window.axe.run(context, { rules: { "color-contrast": { enabled: false } } });
+  return violations;
+}
+
+/** One line per axe violation, for assertion messages */
+export function describeViolations(violations) {
+  return violations
+    .map((v) => `${v.id}: ${v.help}\n  ${v.nodes.map((n) => n.target.join(" ")).join("\n  ")}`)
+    .join("\n");
+}
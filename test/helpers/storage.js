@@ -0,0 +1,36 @@
+/**
+ * helpers/storage.js
+ * A Map-backed stand-in for window.localStorage / sessionStorage, for the
+ * headless tests that run without jsdom. Import it before the modules under test.
+ */
+
+export class MemoryStorage {
+  #items = new Map();
+
+  get length() {
+    return this.#items.size;
+  }
+
+  key(i) {
+    return [...this.#items.keys()][i] ?? null;
+  }
+
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+}
+
+globalThis.localStorage = new MemoryStorage();
+globalThis.sessionStorage = new MemoryStorage();
@@ -0,0 +1,53 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { request, NetworkError, HttpError } from "../js/http.js";
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+/** fetch that fails with `failures` (errors to throw or statuses to return) before answering 200 */
+function flakyFetch(failures) {
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(url);
+    const next = failures.shift();
+    if (next instanceof Error) throw next;
+    return new Response("{}", { status: next ?? 200 });
+  };
+  return calls;
+}
+
+/** An AbortSignal stand-in that counts its listeners */
+function countingSignal() {
+  const listeners = new Set();
+  return {
+    listeners,
+    aborted: false,
+    addEventListener: (type, fn) => listeners.add(fn),
+    removeEventListener: (type, fn) => listeners.delete(fn),
+  };
+}
+
+test("request retries network and server errors, then succeeds", async () => {
+  const calls = flakyFetch([new TypeError("Failed to fetch"), 503]);
+  const res = await request("https://example.test/x", { retries: 2, backoff: 1 });
+  assert.equal(res.status, 200);
+  assert.equal(calls.length, 3);
+});
+
+test("request throws typed errors once the retries run out", async () => {
+  flakyFetch([new TypeError("Failed to fetch")]);
+  await assert.rejects(request("https://example.test/x", { retries: 0 }), NetworkError);
+  flakyFetch([500, 500]);
+  await assert.rejects(request("https://example.test/x", { retries: 1, backoff: 1 }), HttpError);
+});
+
+test("request leaves no listeners on the caller's signal after retry waits", async () => {
+  flakyFetch([503, 503]);
+  const signal = countingSignal();
+  await request("https://example.test/x", { retries: 2, backoff: 1, signal });
+  assert.equal(signal.listeners.size, 0);
+});
@@ -0,0 +1,97 @@
+import "./helpers/storage.js";
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { config } from "../js/config.js";
+import { placeOrder, flushOrderQueue, getQueuedOrders, getOrders } from "../js/orders.js";
+// A second copy of the module, with its own state, stands in for another tab
+import { flushOrderQueue as flushInOtherTab } from "../js/orders.js?tab=2";
+
+const totals = { subtotal: 10, savings: 0, discount: 0, shipping: 0, tax: 0, total: 10, region: { code: "US", taxRate: 0 } };
+const input = { lines: [{ id: "a", size: "M", qty: 1, price: 10, lineTotal: 10 }], totals, customer: { name: "Kari" } };
+
+let posted;
+
+/** Stand in for the browser's navigator (a getter-only global in newer Node) */
+function setNavigator(value) {
+  Object.defineProperty(globalThis, "navigator", { value, configurable: true, writable: true });
+}
+
+/** Queue `n` orders while offline, then come back online with a server that records each POST */
+async function queueOrders(n) {
+  setNavigator({ onLine: false });
+  for (let i = 0; i < n; i++) await placeOrder(input);
+  setNavigator({ onLine: true });
+  config.orders.endpoint = "https://example.test/orders";
+  globalThis.fetch = async (url, init) => {
+    posted.push(JSON.parse(init.body).id);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    return new Response(JSON.stringify({ data: { status: "confirmed" } }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+}
+
+/** navigator.locks with exclusive locks, one holder at a time per name */
+function fakeLocks() {
+  const tails = new Map();
+  return {
+    request(name, callback) {
+      const run = (tails.get(name) || Promise.resolve()).then(() => callback({ name }));
+      tails.set(name, run.catch(() => {}));
+      return run;
+    },
+  };
+}
+
+const saved = { endpoint: config.orders.endpoint, fetch: globalThis.fetch, navigator: Object.getOwnPropertyDescriptor(globalThis, "navigator") };
+
+beforeEach(() => {
+  localStorage.clear();
+  posted = [];
+});
+
+afterEach(() => {
+  config.orders.endpoint = saved.endpoint;
+  globalThis.fetch = saved.fetch;
+  if (saved.navigator) Object.defineProperty(globalThis, "navigator", saved.navigator);
+  else delete globalThis.navigator;
+});
+
+test("queued orders are sent once when two tabs flush under a Web Lock", async () => {
+  await queueOrders(3);
+  globalThis.navigator.locks = fakeLocks();
+  const ids = getQueuedOrders().map((o) => o.id);
+
+  const [here, there] = await Promise.all([flushOrderQueue(), flushInOtherTab()]);
+  assert.equal(here + there, 3);
+  assert.deepEqual(posted, ids);
+  assert.equal(getQueuedOrders().length, 0);
+  assert.deepEqual(getOrders().map((o) => o.status), ["confirmed", "confirmed", "confirmed"]);
+});
+
+test("without Web Locks a tab leaves the queue to the tab that claimed it", async () => {
+  await queueOrders(2);
+  const ids = getQueuedOrders().map((o) => o.id);
+
+  const [here, there] = await Promise.all([flushOrderQueue(), flushInOtherTab()]);
+  assert.deepEqual([here, there], [2, 0]);
+  assert.deepEqual(posted, ids);
+  assert.equal(localStorage.getItem("rainydays_order_flush_claim"), null);
+});
+
+test("an order another tab sent meanwhile is skipped", async () => {
+  await queueOrders(2);
+  const [first, second] = getQueuedOrders();
+  // While the first order is on its way, another tab sends (and unqueues) the second
+  const send = globalThis.fetch;
+  globalThis.fetch = (url, init) => {
+    const queueKey = "rainydays_order_queue";
+    const stored = JSON.parse(localStorage.getItem(queueKey));
+    localStorage.setItem(queueKey, JSON.stringify({ ...stored, items: stored.items.filter((o) => o.id !== second.id) }));
+    return send(url, init);
+  };
+
+  assert.equal(await flushOrderQueue(), 1);
+  assert.deepEqual(posted, [first.id]);
+});
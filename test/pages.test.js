@@ -0,0 +1,315 @@
+// Every page module mounted against its HTML file, with the fixture as the catalog
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadPage, mount, waitFor, fill, fixture } from "./helpers/dom.js";
+import * as listPage from "../js/pages/list.js";
+import * as detailPage from "../js/pages/detail.js";
+import * as cartPage from "../js/pages/cart.js";
+import * as checkoutPage from "../js/pages/checkout.js";
+import * as orderPage from "../js/pages/order.js";
+import * as ordersPage from "../js/pages/orders.js";
+import * as wishlistPage from "../js/pages/wishlist.js";
+import { addToCart, getCart, lineKey } from "../js/cart.js";
+import { addToWishlist, getWishlist } from "../js/wishlist.js";
+import { getOrders, placeOrder } from "../js/orders.js";
+import { buildLines, priceCart } from "../js/pricing.js";
+import { normalizeProducts } from "../js/product.js";
+import { formatPrice } from "../js/i18n.js";
+import { config } from "../js/config.js";
+import { addSink } from "../js/analytics.js";
+import { setSource } from "../js/sources.js";
+import { syncWishToggles } from "../js/pages/catalog.js";
+import { NetworkError } from "../js/http.js";
+
+const products = normalizeProducts(fixture);
+const byId = new Map(products.map((p) => [p.id, p]));
+const akra = products.find((p) => p.title.includes("Akra"));
+const thunderbolt = products.find((p) => p.title.includes("Thunderbolt"));
+
+/** The totals the cart and checkout should show for what is in the cart now */
+const expectedTotals = () => priceCart(buildLines(getCart(), byId), {});
+const text = (id) => document.getElementById(id).textContent.trim();
+
+beforeEach(() => {
+  globalThis.localStorage?.clear();
+});
+
+test("list page renders a card per product", async () => {
+  loadPage("products.html");
+  const page = await mount(listPage);
+  const cards = await waitFor(() => document.querySelectorAll("#list .card").length && document.querySelectorAll("#list .card"));
+  assert.equal(cards.length, products.length);
+  assert.deepEqual(
+    [...cards].map((c) => c.querySelector(".card__title").textContent),
+    products.map((p) => p.title)
+  );
+  page.unmount();
+});
+
+test("list page applies filters from the URL and from the controls", async () => {
+  loadPage("products.html", "?gender=men");
+  const page = await mount(listPage);
+  const shown = () => [...document.querySelectorAll("#list .card")].map((c) => c.dataset.id);
+  await waitFor(() => shown().length);
+  const menOrUnisex = products.filter((p) => p.gender !== "women").map((p) => p.id);
+  assert.deepEqual(shown(), menOrUnisex);
+  assert.equal(document.getElementById("filter-gender").value, "men");
+
+  document.getElementById("filter-onsale").checked = true;
+  document.getElementById("filter-onsale").dispatchEvent(new Event("change", { bubbles: true }));
+  assert.deepEqual(shown(), products.filter((p) => p.gender !== "women" && p.onSale).map((p) => p.id));
+  assert.match(location.search, /onsale=1/);
+  page.unmount();
+});
+
+test("list page fetches the catalog a page at a time until a filter needs all of it", async (t) => {
+  const saved = { pageSize: config.pageSize, list: config.list };
+  config.pageSize = 3;
+  config.list = { ...config.list, pageSize: 3, infiniteScroll: false };
+  t.after(() => Object.assign(config, saved));
+
+  loadPage("products.html");
+  const page = await mount(listPage);
+  const count = () => document.querySelectorAll("#list .card").length;
+  await waitFor(() => count());
+  assert.equal(count(), 3);
+
+  const more = document.querySelector(".grid__more");
+  assert.equal(more.hidden, false);
+  more.click();
+  await waitFor(() => count() === 6);
+
+  document.getElementById("filter-onsale").checked = true;
+  document.getElementById("filter-onsale").dispatchEvent(new Event("change", { bubbles: true }));
+  const onSale = products.filter((p) => p.onSale).map((p) => p.id);
+  await waitFor(() => count() === onSale.length);
+  assert.deepEqual([...document.querySelectorAll("#list .card")].map((c) => c.dataset.id), onSale);
+  page.unmount();
+});
+
+test("list page adds a card's product to the cart", async () => {
+  loadPage("products.html");
+  const page = await mount(listPage);
+  const button = await waitFor(() => document.querySelector(`#list .card[data-id="${akra.id}"] .add-to-cart`));
+  button.click();
+  assert.deepEqual(getCart().map((l) => [l.id, l.qty]), [[akra.id, 1]]);
+  assert.equal(button.textContent, "Added");
+  page.unmount();
+});
+
+test("product page shows the product and adds the chosen size", async () => {
+  loadPage("product.html", `?id=${akra.id}`);
+  const page = await mount(detailPage);
+  await waitFor(() => document.querySelector(".product-detail__title"));
+  assert.equal(document.querySelector(".product-detail__title").textContent, akra.title);
+  assert.equal(document.querySelector("input[name='size'][value='XS']").disabled, true); // 0 left
+
+  document.querySelector("input[name='size'][value='M']").click();
+  document.getElementById("detail-add").click();
+  assert.deepEqual(getCart().map((l) => [l.id, l.size, l.qty]), [[akra.id, "M", 1]]);
+  page.unmount();
+});
+
+test("product page counts one view per visit, not per language switch", async (t) => {
+  const viewed = [];
+  t.after(addSink({ send: (event) => event.type === "product_viewed" && viewed.push(event.props.id) }));
+  loadPage("product.html", `?id=${akra.id}`);
+  const page = await mount(detailPage);
+  await waitFor(() => document.querySelector(".product-detail__title"));
+
+  window.dispatchEvent(new CustomEvent("locale:changed"));
+  assert.equal(document.querySelector(".product-detail__title"), null); // rendering again
+  await waitFor(() => document.querySelector(".product-detail__title"));
+  assert.deepEqual(viewed, [akra.id]);
+  page.unmount();
+});
+
+test("product page asks for a size first", async () => {
+  loadPage("product.html", `?id=${akra.id}`);
+  const page = await mount(detailPage);
+  await waitFor(() => document.getElementById("detail-add"));
+  document.getElementById("detail-add").click();
+  assert.equal(document.getElementById("detail-msg").hidden, false);
+  assert.deepEqual(getCart(), []);
+  page.unmount();
+});
+
+test("product page shows recommendations and the products viewed before it", async () => {
+  loadPage("product.html", `?id=${thunderbolt.id}`);
+  let page = await mount(detailPage);
+  await waitFor(() => document.querySelector(".product-detail__title"));
+  page.unmount();
+
+  loadPage("product.html", `?id=${akra.id}`);
+  page = await mount(detailPage);
+  const strips = () => document.querySelectorAll("#product-strips .product-strip");
+  await waitFor(() => strips().length === 2);
+  const ids = (strip) => [...strip.querySelectorAll(".card")].map((c) => c.dataset.id);
+  const [alsoLike, recent] = strips();
+  assert.ok(ids(alsoLike).length > 0);
+  assert.equal(ids(alsoLike).includes(akra.id), false);
+  assert.deepEqual(ids(recent), [thunderbolt.id]);
+  page.unmount();
+});
+
+test("cart page shows the lines and totals, and updates them", async () => {
+  loadPage("cart.html");
+  addToCart(akra.id, 1, "M", { price: akra.price, title: akra.title });
+  addToCart(thunderbolt.id, 2, "L", { price: thunderbolt.price, title: thunderbolt.title });
+  const page = await mount(cartPage);
+
+  assert.equal(document.querySelectorAll("#cart-list .cart-line").length, 2);
+  assert.equal(text("cart-subtotal"), formatPrice(expectedTotals().subtotal));
+  assert.equal(text("cart-total"), formatPrice(expectedTotals().total));
+
+  document.querySelector(`.cart-line[data-key="${lineKey(akra.id, "M")}"] .incr`).click();
+  assert.equal(getCart()[0].qty, 2);
+  assert.equal(text("cart-total"), formatPrice(expectedTotals().total));
+
+  document.querySelector(`.cart-line[data-key="${lineKey(thunderbolt.id, "L")}"] .remove`).click();
+  assert.deepEqual(getCart().map((l) => l.id), [akra.id]);
+  assert.equal(document.querySelectorAll("#cart-list .cart-line").length, 1);
+  assert.equal(text("cart-total"), formatPrice(expectedTotals().total));
+  page.unmount();
+});
+
+test("cart page caps a line at the units left in its size", async () => {
+  loadPage("cart.html");
+  addToCart(akra.id, 1, "L", { price: akra.price, title: akra.title });
+  const page = await mount(cartPage);
+  const line = () => document.querySelector(`.cart-line[data-key="${lineKey(akra.id, "L")}"]`);
+  for (let i = 0; i < 5; i++) line().querySelector(".incr").click();
+  assert.equal(getCart()[0].qty, akra.sizeStock.L);
+  assert.equal(line().querySelector(".incr").disabled, true);
+  assert.equal(line().querySelector("input").max, String(akra.sizeStock.L));
+  page.unmount();
+});
+
+test("checkout places the order, clears the cart and goes to the confirmation", async () => {
+  loadPage("checkout.html");
+  addToCart(akra.id, 2, "M", { price: akra.price, title: akra.title });
+  const total = expectedTotals().total;
+  const page = await mount(checkoutPage);
+  await waitFor(() => document.querySelector("#checkout-list .cart-line"));
+  assert.equal(text("co-total"), formatPrice(total));
+
+  const form = document.getElementById("checkout-form");
+  fill(form.elements.name, "Kari Nordmann");
+  fill(form.elements.email, "kari@example.com");
+  fill(form.elements.address, "Storgata 1");
+  fill(form.elements.city, "Oslo");
+  fill(form.elements.zip, "10001");
+  fill(form.elements.cardnumber, "4242 4242 4242 4242");
+  fill(form.elements.CardExpiry, "12/39");
+  fill(form.elements.CardCvc, "123");
+  form.requestSubmit();
+
+  await waitFor(() => page.navigated.length);
+  const [order] = getOrders();
+  assert.equal(page.navigated[0], `order.html?id=${encodeURIComponent(order.id)}`);
+  assert.equal(order.status, "confirmed");
+  assert.equal(order.totals.total, total);
+  assert.equal(order.customer.cardLast4, "4242");
+  assert.equal(order.customer.cardnumber, undefined);
+  assert.deepEqual(getCart(), []);
+  page.unmount();
+});
+
+test("checkout with an empty cart cannot be submitted", async () => {
+  loadPage("checkout.html");
+  const page = await mount(checkoutPage);
+  assert.equal(document.getElementById("place-order").disabled, true);
+  page.unmount();
+});
+
+test("order and orders pages show a placed order", async () => {
+  loadPage("order.html");
+  addToCart(akra.id, 1, "M");
+  const lines = buildLines(getCart(), byId);
+  const order = await placeOrder({ lines, totals: priceCart(lines, {}), customer: { name: "Kari", email: "kari@example.com" } });
+
+  loadPage("order.html", `?id=${order.id}`);
+  let page = await mount(orderPage);
+  assert.equal(document.querySelector("#order-root h1").textContent, "Thank You!");
+  assert.match(document.getElementById("order-root").textContent, new RegExp(order.id));
+  page.unmount();
+
+  loadPage("orders.html");
+  page = await mount(ordersPage);
+  const link = document.querySelector("#orders-root tbody a");
+  assert.equal(link.textContent, order.id);
+  page.unmount();
+});
+
+test("wishlist page moves a saved item to the cart", async () => {
+  loadPage("wishlist.html");
+  addToWishlist(akra.id, "S", 1, { price: akra.price, title: akra.title });
+  const page = await mount(wishlistPage);
+  document.querySelector("#wishlist-list .move-to-cart").click();
+  assert.deepEqual(getCart().map((l) => [l.id, l.size, l.qty]), [[akra.id, "S", 1]]);
+  assert.deepEqual(getWishlist(), []);
+  page.unmount();
+});
+
+test("wishlist page moves an item at the product's current price and title", async () => {
+  loadPage("wishlist.html");
+  addToWishlist(akra.id, "S", 1, { price: akra.price + 20, title: "Akra (old name)" });
+  const page = await mount(wishlistPage);
+  document.querySelector("#wishlist-list .move-to-cart").click();
+  assert.deepEqual(getCart().map((l) => [l.price, l.title]), [[akra.price, akra.title]]);
+  page.unmount();
+});
+
+test("the wishlist heart says it forgets every saved size", async () => {
+  loadPage("products.html");
+  addToWishlist(akra.id, "M", 1, { price: akra.price, title: akra.title });
+  const page = await mount(listPage);
+  const heart = await waitFor(() => document.querySelector(`#list .card[data-id="${akra.id}"] .wish-toggle`));
+  assert.equal(heart.getAttribute("aria-label"), `Remove ${akra.title} from your wishlist (every size)`);
+  heart.click();
+  assert.deepEqual(getWishlist(), []);
+  syncWishToggles(); // app.js does this on "wishlist:updated"
+  assert.equal(heart.getAttribute("aria-label"), `Save ${akra.title} for later`);
+  page.unmount();
+});
+
+test("moving, saving for later and undoing report cart events", async (t) => {
+  const events = [];
+  t.after(addSink({ send: ({ type, props }) => events.push([type, props.id, props.size, props.qty]) }));
+
+  loadPage("wishlist.html");
+  addToWishlist(akra.id, "S", 2, { price: akra.price, title: akra.title });
+  let page = await mount(wishlistPage);
+  document.querySelector("#wishlist-list .move-to-cart").click();
+  page.unmount();
+
+  loadPage("cart.html");
+  addToCart(thunderbolt.id, 1, "L", { price: thunderbolt.price, title: thunderbolt.title });
+  page = await mount(cartPage);
+  document.querySelector(`.cart-line[data-key="${lineKey(akra.id, "S")}"] .save-later`).click();
+  document.querySelector(`.cart-line[data-key="${lineKey(thunderbolt.id, "L")}"] .remove`).click();
+  document.querySelector(".toast button").click(); // Undo
+  page.unmount();
+
+  assert.deepEqual(events, [
+    ["add_to_cart", akra.id, "S", 2],
+    ["remove_from_cart", akra.id, "S", 2],
+    ["remove_from_cart", thunderbolt.id, "L", 1],
+    ["add_to_cart", thunderbolt.id, "L", 1],
+  ]);
+});
+
+test("cart and wishlist pages stop waiting for a retry once the page is left", async () => {
+  for (const [file, pageModule] of [["cart.html", cartPage], ["wishlist.html", wishlistPage]]) {
+    loadPage(file);
+    const offline = async () => {
+      throw new NetworkError("Offline");
+    };
+    setSource({ name: "offline", list: offline, page: offline, get: offline });
+    const controller = new AbortController();
+    const mounted = pageModule.mount({ signal: controller.signal, url: new URL(location.href), navigate() {} });
+    await waitFor(() => document.querySelector(".load-error button"));
+    controller.abort();
+    assert.equal(await Promise.race([mounted.then(() => "done"), new Promise((r) => setTimeout(r, 200, "waiting"))]), "done");
+  }
+});
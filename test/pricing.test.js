@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildLines, priceCart, evaluatePromo, shippingFor } from "../js/pricing.js";
+import { normalizeProducts } from "../js/product.js";
+
+const rules = {
+  defaultRegion: "US",
+  regions: { US: { name: "United States", taxRate: 0 }, NO: { name: "Norway", taxRate: 0.25 } },
+  shippingTiers: [
+    { under: 50, cost: 9.99 },
+    { under: 100, cost: 5.99 },
+  ],
+  freeShippingFrom: 100,
+  promoCodes: {
+    TEN: { type: "percent", value: 10 },
+    FIVER: { type: "fixed", value: 5, minSpend: 60 },
+    OLD: { type: "percent", value: 50, expires: "2024-01-31" },
+  },
+};
+const now = new Date("2024-06-01T12:00:00Z");
+
+const byId = new Map(
+  normalizeProducts([
+    { id: "a", title: "A", sizes: ["M"], price: 30, image: { url: "a.jpg" } },
+    { id: "b", title: "B", sizes: ["M"], price: 25, discountedPrice: 20, image: { url: "b.jpg" } },
+  ]).map((p) => [p.id, p])
+);
+
+test("buildLines prices each line and skips products missing from the catalog", () => {
+  const lines = buildLines([{ id: "a", size: "M", qty: 2 }, { id: "gone", size: "", qty: 1 }, { id: "b", size: "M", qty: 3 }], byId);
+  assert.deepEqual(lines.map((l) => [l.id, l.lineTotal, l.lineSavings]), [["a", 60, 0], ["b", 60, 15]]);
+});
+
+test("priceCart adds shipping below the free-shipping threshold", () => {
+  const totals = priceCart(buildLines([{ id: "a", size: "M", qty: 1 }], byId), { rules, now });
+  assert.equal(totals.subtotal, 30);
+  assert.equal(totals.shipping, 9.99);
+  assert.equal(totals.freeShippingRemaining, 70);
+  assert.equal(totals.total, 39.99);
+  assert.equal(totals.itemCount, 1);
+});
+
+test("priceCart: free shipping, sale savings and tax for the region", () => {
+  const lines = buildLines([{ id: "a", size: "M", qty: 2 }, { id: "b", size: "M", qty: 2 }], byId);
+  const totals = priceCart(lines, { region: "no", rules, now });
+  assert.equal(totals.subtotal, 100);
+  assert.equal(totals.savings, 10);
+  assert.equal(totals.shipping, 0);
+  assert.equal(totals.region.code, "NO");
+  assert.equal(totals.tax, 25);
+  assert.equal(totals.total, 125);
+});
+
+test("priceCart applies a promo before shipping and tax", () => {
+  const lines = buildLines([{ id: "a", size: "M", qty: 2 }, { id: "b", size: "M", qty: 2 }], byId);
+  const totals = priceCart(lines, { region: "NO", promoCode: "ten", rules, now });
+  assert.equal(totals.discount, 10);
+  assert.equal(totals.shipping, 5.99); // 90 of goods is under the threshold again
+  assert.equal(totals.tax, 22.5);
+  assert.equal(totals.total, 118.49);
+});
+
+test("priceCart falls back to the default region", () => {
+  const totals = priceCart(buildLines([{ id: "a", size: "M", qty: 1 }], byId), { region: "XX", rules, now });
+  assert.equal(totals.region.code, "US");
+  assert.equal(totals.tax, 0);
+});
+
+test("priceCart of an empty cart is zero", () => {
+  const totals = priceCart([], { rules, now });
+  assert.equal(totals.total, 0);
+  assert.equal(totals.shipping, 0);
+});
+
+test("evaluatePromo reports unknown, expired and min-spend codes", () => {
+  assert.deepEqual(evaluatePromo("", 10, { rules, now }), {});
+  assert.equal(evaluatePromo("nope", 10, { rules, now }).error, "unknown");
+  assert.equal(evaluatePromo("OLD", 10, { rules, now }).error, "expired");
+  assert.deepEqual(evaluatePromo("FIVER", 59, { rules, now }), { code: "FIVER", error: "min-spend", minSpend: 60 });
+  assert.equal(evaluatePromo("FIVER", 60, { rules, now }).promo.value, 5);
+});
+
+test("shippingFor follows the tiers", () => {
+  assert.equal(shippingFor(0, rules), 0);
+  assert.equal(shippingFor(49.99, rules), 9.99);
+  assert.equal(shippingFor(50, rules), 5.99);
+  assert.equal(shippingFor(100, rules), 0);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeProduct, normalizeProducts } from "../js/product.js";
+
+const raw = {
+  id: "p1",
+  title: "Akra Jacket",
+  gender: "Female",
+  sizes: ["xs", "M"],
+  price: 200,
+  discountedPrice: 150,
+  image: { url: "images/a.jpg", alt: "" },
+  images: [{ url: "images/a.jpg" }, { url: "images/b.jpg", alt: "Back" }],
+  created: "2024-03-02T09:00:00.000Z",
+  stock: 4,
+  sizeStock: { xs: 0, m: 2, l: -1 },
+};
+
+test("normalizeProduct maps the API shape onto the shop's product", () => {
+  const p = normalizeProduct(raw);
+  assert.equal(p.gender, "women");
+  assert.deepEqual(p.sizes, ["XS", "M"]);
+  assert.equal(p.price, 150);
+  assert.equal(p.originalPrice, 200);
+  assert.equal(p.onSale, true);
+  assert.equal(p.discountPercent, 25);
+  assert.equal(p.createdAt, Date.parse(raw.created));
+  assert.equal(p.stock, 4);
+  assert.equal(p.inStock, true);
+  assert.equal(p.purchasable, true);
+  assert.deepEqual(p.issues, []);
+});
+
+test("normalizeProduct keeps each image once and falls back to the title for alt text", () => {
+  const p = normalizeProduct(raw);
+  assert.deepEqual(p.images, [
+    { url: "images/a.jpg", alt: "Akra Jacket" },
+    { url: "images/b.jpg", alt: "Back" },
+  ]);
+  assert.equal(p.imageUrl, "images/a.jpg");
+  assert.equal(p.imageAlt, "Akra Jacket");
+});
+
+test("normalizeProduct upper-cases tracked sizes and ignores bad counts", () => {
+  assert.deepEqual(normalizeProduct(raw).sizeStock, { XS: 0, M: 2 });
+});
+
+test("normalizeProduct reads exact gender words and defaults to unisex", () => {
+  assert.equal(normalizeProduct({ ...raw, gender: "Male" }).gender, "men");
+  assert.equal(normalizeProduct({ ...raw, gender: "femalex" }).gender, "unisex");
+  assert.equal(normalizeProduct({ ...raw, gender: undefined }).gender, "unisex");
+});
+
+test("normalizeProduct never puts a product on sale from a bad list price", () => {
+  const p = normalizeProduct({ ...raw, price: "lots", discountedPrice: 90 });
+  assert.equal(p.price, 90);
+  assert.equal(p.originalPrice, 90);
+  assert.equal(p.onSale, false);
+  assert.ok(p.issues.some((i) => i.field === "raw.price"));
+});
+
+test("normalizeProduct flags a free product as not purchasable", () => {
+  const p = normalizeProduct({ ...raw, price: 0, discountedPrice: 0 });
+  assert.equal(p.price, 0);
+  assert.equal(p.purchasable, false);
+  assert.ok(p.issues.some((i) => i.field === "price" && i.severity === "warning"));
+});
+
+test("normalizeProduct marks untracked and sold-out stock", () => {
+  assert.equal(normalizeProduct({ ...raw, stock: undefined }).stock, null);
+  const soldOut = normalizeProduct({ ...raw, stock: 0 });
+  assert.equal(soldOut.inStock, false);
+});
+
+test("normalizeProducts drops products with error-level issues only", () => {
+  const list = normalizeProducts([raw, { ...raw, id: undefined }, { ...raw, id: "p2", title: "" }]);
+  assert.deepEqual(list.map((p) => p.id), ["p1", "p2"]);
+  assert.ok(list[1].issues.some((i) => i.field === "raw.title"));
+});